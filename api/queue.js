@@ -0,0 +1,107 @@
+/**
+ * Daily Trendz - Scheduled Post Queue API
+ *
+ * GET    /api/queue            list scheduled posts
+ * POST   /api/queue            { url, publishAt, priority, category, text }
+ * DELETE /api/queue?id=<id>    remove a scheduled post
+ *
+ * Uses the same CRON_SECRET authentication as /api/run (header or
+ * ?secret=), except that POST and DELETE are refused when no secret is
+ * configured. Items are published by the next run after their publishAt
+ * time. Bad input answers 400; store, Telegram and provider failures 500.
+ *
+ * @module api/queue
+ */
+
+// Load environment from .env in development
+if (process.env.NODE_ENV !== 'production') {
+    require('dotenv').config({ path: '.env.local' });
+}
+
+const queue = require('../lib/queue');
+
+/**
+ * Validate request authentication
+ * Without a configured CRON_SECRET only listing is allowed (for testing);
+ * adding and removing posts always need the secret.
+ * @param {Object} req - Request object
+ * @returns {boolean} True if authenticated
+ */
+function validateAuth(req) {
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (!cronSecret) {
+        if (req.method !== 'GET') {
+            console.error('[Auth] No CRON_SECRET configured, rejecting queue change');
+            return false;
+        }
+        console.warn('[Auth] No CRON_SECRET configured, allowing request');
+        return true;
+    }
+
+    const headerSecret = req.headers['x-cron-secret'] || req.headers['authorization'];
+    if (headerSecret === cronSecret || headerSecret === `Bearer ${cronSecret}`) {
+        return true;
+    }
+
+    // Query param, as /api/run accepts
+    return req.query?.secret === cronSecret;
+}
+
+/**
+ * Queue API handler
+ * @param {Object} req - Vercel request
+ * @param {Object} res - Vercel response
+ */
+async function handler(req, res) {
+    if (!validateAuth(req)) {
+        console.warn('[QueueAPI] Unauthorized request');
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const items = await queue.getPending();
+            return res.status(200).json({ success: true, count: items.length, items });
+        }
+
+        if (req.method === 'POST') {
+            let body;
+            try {
+                body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+            } catch (error) {
+                return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+            }
+
+            if (!body.url) {
+                return res.status(400).json({ success: false, error: 'url is required' });
+            }
+
+            const item = await queue.enqueueUrl(body.url, {
+                publishAt: body.publishAt,
+                priority: body.priority,
+                category: body.category,
+                text: body.text,
+                addedBy: body.addedBy || 'api',
+                origin: 'api'
+            });
+            return res.status(201).json({ success: true, item });
+        }
+
+        if (req.method === 'DELETE') {
+            const removed = await queue.cancel(req.query?.id);
+            return res.status(removed ? 200 : 404).json({ success: removed });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        if (error.code === 'INVALID_QUEUE_ITEM') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        console.error('[QueueAPI] Error:', error.message);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+module.exports = handler;
@@ -3,10 +3,11 @@
  * 
  * Vercel serverless function that orchestrates the posting workflow:
  * 1. Validate request authentication
- * 2. Check daily limits
- * 3. Fetch products from Flipkart/Amazon
+ * 2. Resolve the time slot and check daily limits
+ *    (and edit earlier posts whose deal has expired or been repriced)
+ * 3. Fetch products from the enabled providers
  * 4. Filter duplicates
- * 5. Post to Telegram
+ * 5. Re-verify prices, screen out fake discounts and post to Telegram
  * 
  * @module api/run
  */
@@ -16,12 +17,22 @@ if (process.env.NODE_ENV !== 'production') {
     require('dotenv').config({ path: '.env.local' });
 }
 
-const flipkart = require('../lib/flipkart');
-const amazon = require('../lib/amazon');
+const providers = require('../lib/providers');
 const telegram = require('../lib/telegram');
-const formatter = require('../lib/formatter');
 const dedupe = require('../lib/dedupe');
 const scheduler = require('../lib/scheduler');
+const time = require('../lib/time');
+const sales = require('../lib/sales');
+const channels = require('../lib/channels');
+const expiry = require('../lib/expiry');
+const publisher = require('../lib/publisher');
+const moderation = require('../lib/moderation');
+const controls = require('../lib/controls');
+const queue = require('../lib/queue');
+const history = require('../lib/history');
+const authenticity = require('../lib/authenticity');
+const matching = require('../lib/matching');
+const variants = require('../lib/variants');
 
 /**
  * Validate request authentication
@@ -52,56 +63,56 @@ function validateAuth(req) {
     return false;
 }
 
+/**
+ * Read the sale mode override from the query string
+ * @param {Object} req - Request object
+ * @returns {boolean|null} true/false to force, null to follow the calendar
+ */
+function getSaleOverride(req) {
+    const value = String(req.query?.sale_mode || '').toLowerCase();
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return null;
+}
+
 /**
  * Fetch products from configured sources
  * @param {Array} selectedCategories - Categories to fetch
  * @param {Object} filters - Product filters
+ * @param {Object} plan - Session plan (sources with a zero share are skipped)
  * @returns {Promise<Array>} Products from all sources
  */
-async function fetchProducts(selectedCategories, filters) {
+async function fetchProducts(selectedCategories, filters, plan = {}) {
     const allProducts = [];
-    const sources = scheduler.getSourcePriority();
+    const sources = (await scheduler.getSourcePriority())
+        .filter(source => plan.sourceMix?.[source] !== 0);
 
     for (const categoryKey of selectedCategories) {
         const categoryInfo = scheduler.getCategoryInfo(categoryKey);
         if (!categoryInfo) continue;
 
-        // Try Flipkart first if available
-        if (sources.includes('flipkart') && categoryInfo.flipkartId) {
+        // Sources in settings priority order
+        for (const source of sources) {
+            const { allowed } = await scheduler.canPost(source, categoryKey);
+            if (!allowed) continue;
+
+            // Skip sources whose API quota can't cover another call today
+            if (!(await providers.hasBudget(source))) {
+                console.warn(`[Fetch] ${source} request budget used up, skipping`);
+                continue;
+            }
+
             try {
-                const products = await flipkart.getProductsByCategory(
-                    categoryInfo.flipkartId,
+                const products = await providers.fetchByCategory(
+                    source,
+                    categoryKey,
+                    categoryInfo,
                     filters
                 );
 
-                products.forEach(p => {
-                    p.categoryKey = categoryKey;
-                    allProducts.push(p);
-                });
+                allProducts.push(...products);
             } catch (error) {
-                console.error(`[Fetch] Flipkart error for ${categoryKey}:`, error.message);
-            }
-        }
-
-        // Try Amazon if available and under limit
-        if (sources.includes('amazon') && categoryInfo.amazonNode) {
-            const { allowed } = scheduler.canPost('amazon', categoryKey);
-
-            if (allowed) {
-                try {
-                    const products = await amazon.getProductsByCategory(
-                        categoryInfo.amazonNode,
-                        categoryInfo.name,
-                        filters
-                    );
-
-                    products.forEach(p => {
-                        p.categoryKey = categoryKey;
-                        allProducts.push(p);
-                    });
-                } catch (error) {
-                    console.error(`[Fetch] Amazon error for ${categoryKey}:`, error.message);
-                }
+                console.error(`[Fetch] ${source} error for ${categoryKey}:`, error.message);
             }
         }
     }
@@ -110,77 +121,328 @@ async function fetchProducts(selectedCategories, filters) {
 }
 
 /**
- * Post products to Telegram channel
+ * Build the key used to track a product's verification result
+ * @param {Object} product - Product
+ * @returns {string} source_id key
+ */
+function productKey(product) {
+    return `${product.source}_${product.id}`;
+}
+
+/**
+ * Check if any chat a product goes to hasn't had it yet
+ * @param {Object} product - Product
+ * @returns {boolean} True while per-chat dedupe leaves a chat open
+ */
+function hasOpenDestination(product) {
+    return channels.getDestinations(product)
+        .some(d => !dedupe.isDuplicate(product.id, product.source, d.key, product.price));
+}
+
+/**
+ * Re-check a product and the next ones from the same source in one batch
+ * The product about to be posted is always included; of the others only
+ * those that could still go to some chat are, so one verification call
+ * covers the posts that are about to go out.
+ * @param {Array} products - Posting queue
+ * @param {number} index - Index of the product about to be posted
+ * @param {Object} filters - Product filters
+ * @param {Map} verified - productKey -> verification result, filled in place
+ * @returns {Promise<void>}
+ */
+async function verifyAhead(products, index, filters, verified) {
+    const current = products[index];
+    const source = current.source;
+
+    const pending = new Map([[productKey(current), current]]);
+    products.slice(index + 1)
+        .filter(p => p.source === source && !p.type)
+        .filter(p => !verified.has(productKey(p)) && hasOpenDestination(p))
+        .forEach(p => {
+            // The same product can be queued twice (e.g. approved and re-fetched); check the first
+            if (!pending.has(productKey(p))) pending.set(productKey(p), p);
+        });
+
+    const batch = Array.from(pending.values()).slice(0, providers.getVerifyBatchSize(source));
+
+    const checks = await providers.verifyProducts(source, batch, filters);
+    checks.forEach((check, i) => verified.set(productKey(batch[i]), check));
+}
+
+/**
+ * Get fresh copies of listings shown alongside a post
+ * (comparison partners and other variants)
+ * @param {Array} listings - Products from any source
+ * @param {Object} filters - Product filters
+ * @param {Map} verified - productKey -> verification result, filled in place
+ * @returns {Promise<Array>} Listings still available, with current prices
+ */
+async function verifyListings(listings, filters, verified) {
+    const unchecked = listings.filter(p => providers.needsVerification(p.source) && !verified.has(productKey(p)));
+
+    for (const source of new Set(unchecked.map(p => p.source))) {
+        const batch = unchecked.filter(p => p.source === source);
+        const checks = await providers.verifyProducts(source, batch, filters);
+        checks.forEach((check, i) => verified.set(productKey(batch[i]), check));
+    }
+
+    return listings
+        .map(p => providers.needsVerification(p.source) ? verified.get(productKey(p)) : { status: 'ok', product: p })
+        .filter(check => check.status !== 'dropped')
+        .map(check => check.product);
+}
+
+/**
+ * Refresh the other variants listed under a product
+ * @param {Object} product - Product (variants from lib/variants)
+ * @param {Object} filters - Product filters
+ * @param {Map} verified - productKey -> verification result, filled in place
+ * @returns {Promise<Object>} Product with only the variants still available
+ */
+async function verifyVariants(product, filters, verified) {
+    if (!product.variants) return product;
+    return { ...product, variants: await verifyListings(product.variants, filters, verified) };
+}
+
+/**
+ * Get a fresh copy of a comparison partner, if it can be shown
+ * The partner goes through the checks of a post of its own: verification,
+ * the fake-discount check and dedupe in every chat the post goes to.
+ * @param {Object} partner - Matching listing from another source
+ * @param {Array} destinations - Chats the post goes to
+ * @param {Object} filters - Product filters
+ * @param {Map} verified - productKey -> verification result, filled in place
+ * @returns {Promise<Object|null>} Partner with its variants, or null to post without it
+ */
+async function getComparisonPartner(partner, destinations, filters, verified) {
+    const [fresh] = await verifyListings([partner], filters, verified);
+    if (!fresh) return null;
+
+    if (destinations.some(d => dedupe.isDuplicate(fresh.id, fresh.source, d.key, fresh.price))) {
+        console.log(`[Post] Not comparing with ${fresh.source} ${fresh.id}: already posted`);
+        return null;
+    }
+
+    // A fake discount would make the partner look like the better deal
+    const verdict = authenticity.check(fresh);
+    if (verdict.status === 'fake') {
+        console.log(`[Post] Not comparing with ${fresh.source} ${fresh.id}: ${verdict.reason}`);
+        return null;
+    }
+
+    return verifyVariants(fresh, filters, verified);
+}
+
+/**
+ * Take the queue's posts out of a session plan
+ * @param {Object} plan - Session plan from scheduler.getSessionPlan
+ * @param {Object} drained - Report from queue.drain
+ * @returns {Object} Plan for the posts discovery may still make
+ */
+function getRemainingPlan(plan, drained) {
+    if (!plan.allowed || drained.posted === 0) return plan;
+
+    const sourceMix = plan.sourceMix && Object.fromEntries(Object.entries(plan.sourceMix)
+        .map(([source, share]) => [source, Math.max(0, share - (drained[source] || 0))]));
+
+    return { ...plan, posts: Math.max(0, plan.posts - drained.posted), sourceMix };
+}
+
+/**
+ * Get the channel keys a product can be posted to
+ * @param {Object} product - Product
+ * @returns {Array} Configured channel keys
+ */
+function getDestinationKeys(product) {
+    return channels.getDestinations(product).map(d => d.key);
+}
+
+/**
+ * Post products to their Telegram channels
+ * In moderation mode new candidates are sent for review instead, and
+ * only approved items (those with a moderationId) are published.
  * @param {Array} products - Products to post
+ * @param {Object} plan - Session plan (post count and source mix)
+ * @param {Object} filters - Product filters (re-applied on verification)
  * @returns {Promise<Object>} Posting results
  */
-async function postProducts(products) {
+async function postProducts(products, plan = {}, filters = {}) {
     const results = {
         posted: 0,
         skipped: 0,
         failed: 0,
+        queued: 0,
+        reposted: 0,
+        compared: 0,
         flipkart: 0,
         amazon: 0,
+        channels: {},
+        rejected: [],
+        flagged: [],
         errors: []
     };
 
-    const postsTarget = scheduler.getPostsForSession();
+    const postsTarget = await scheduler.getPostsForSession(plan);
+    const verified = new Map();
+    const judged = new Set();
+    const partners = matching.pairListings(products);
+    const reviewing = moderation.isEnabled();
+
+    for (let i = 0; i < products.length; i++) {
+        let product = products[i];
 
-    for (const product of products) {
         // Check if we've reached session limit
-        if (results.posted >= postsTarget) {
+        if (results.posted + results.queued >= postsTarget) {
             console.log('[Post] Session post limit reached');
             break;
         }
 
+        // Check this slot's source mix (sources not listed are uncapped)
+        const share = plan.sourceMix?.[product.source];
+        if (share !== undefined && (results[product.source] || 0) >= share) {
+            console.log(`[Post] Skipping: ${product.source} share for ${plan.slot} slot used`);
+            results.skipped++;
+            continue;
+        }
+
         // Check daily limits
-        const { allowed, reason } = scheduler.canPost(product.source, product.categoryKey);
+        const { allowed, reason } = await scheduler.canPost(product.source, product.categoryKey);
         if (!allowed) {
             console.log(`[Post] Skipping: ${reason}`);
             results.skipped++;
             continue;
         }
 
-        // Check for duplicate
-        if (dedupe.isDuplicate(product.id, product.source)) {
-            console.log(`[Post] Duplicate: ${product.id}`);
+        // Chats still waiting for this product (per-chat dedupe and limits)
+        const destinations = await publisher.getOpenDestinations(product);
+        if (destinations.length === 0) {
+            console.log(`[Post] Duplicate or channel limit: ${product.id}`);
             results.skipped++;
             continue;
         }
 
-        // Format message
-        const message = formatter.formatProduct(product, product.categoryKey);
+        // The same product from another store already went out today
+        if (matching.wasPostedToday(product)) {
+            console.log(`[Post] Already posted today from another store: ${product.id}`);
+            results.skipped++;
+            continue;
+        }
+
+        // Re-verify price and stock right before posting (batched per source)
+        if (!product.type && providers.needsVerification(product.source)) {
+            if (!verified.has(productKey(product))) {
+                await verifyAhead(products, i, filters, verified);
+            }
+
+            const check = verified.get(productKey(product));
+            if (!check) {
+                console.warn(`[Post] No verification result for ${product.id}, skipping`);
+                results.skipped++;
+                continue;
+            }
+
+            if (check.status === 'dropped') {
+                results.skipped++;
+
+                if (product.moderationId) {
+                    await moderation.setStatus(product.moderationId, 'dropped', check.reason);
+                }
+
+                // Same product can be queued from several categories; report it once
+                if (!check.reported) {
+                    check.reported = true;
+                    console.log(`[Post] Dropped ${product.id}: ${check.reason}`);
+                    results.rejected.push({ id: product.id, source: product.source, reason: check.reason });
+                }
+                continue;
+            }
+
+            if (check.status === 'updated') {
+                console.log(`[Post] Updated ${product.id}: ${check.reason}`);
+            }
+            product = check.product;
+        }
+
+        // Inflated MRPs and "discounts" at the usual price (approved deals were judged by an admin)
+        if (!product.moderationId) {
+            const verdict = authenticity.check(product);
+            const firstTime = !judged.has(productKey(product));
+            judged.add(productKey(product));
+
+            if (verdict.status === 'fake' && authenticity.dropsFakes()) {
+                results.skipped++;
+                if (firstTime) {
+                    console.log(`[Post] Fake discount ${product.id}: ${verdict.reason}`);
+                    results.rejected.push({ id: product.id, source: product.source, reason: verdict.reason });
+                }
+                continue;
+            }
+
+            if (verdict.status === 'fake' && firstTime) {
+                console.log(`[Post] Suspicious discount ${product.id}: ${verdict.reason}`);
+                results.flagged.push({ id: product.id, source: product.source, reason: verdict.reason });
+            }
+        }
+
+        // Other colours and sizes are listed with their current prices
+        product = await verifyVariants(product, filters, verified);
+
+        // Listed by another store too: post both prices together
+        if (partners.has(productKey(product))) {
+            const partner = await getComparisonPartner(partners.get(productKey(product)), destinations, filters, verified);
+            if (partner) {
+                product = matching.buildComparison(product, partner);
+                console.log(`[Post] Comparing ${product.id} with ${partner.source} ${partner.id}`);
+            }
+        }
+
+        // New candidates wait for an admin decision
+        if (reviewing && !product.moderationId) {
+            if (await moderation.isQueued(product)) {
+                console.log(`[Post] Already in review: ${product.id}`);
+                results.skipped++;
+            } else if (await moderation.submit(product)) {
+                results.queued++;
+            } else {
+                results.failed++;
+            }
+            continue;
+        }
 
         // Post to Telegram
         try {
-            const success = await telegram.postDeal(message, product.imageUrl);
-
-            if (success) {
-                results.posted++;
-                results[product.source]++;
+            const outcome = await publisher.publish(product, {
+                destinations,
+                text: product.moderationText
+            });
 
-                // Mark as posted
-                dedupe.markPosted(product.id, product.source);
-                scheduler.incrementCounters(product.source, product.categoryKey);
+            if (outcome.status === 'posted') {
+                if (product.moderationId) {
+                    await moderation.markPublished(product.moderationId, outcome.channels);
+                }
 
-                console.log(`[Post] Success: ${product.name.substring(0, 50)}...`);
+                results.posted++;
+                if (outcome.repost) results.reposted++;
+                if (product.comparison) results.compared++;
+                results[product.source] = (results[product.source] || 0) + 1;
+                outcome.channels.forEach(key => {
+                    results.channels[key] = (results.channels[key] || 0) + 1;
+                });
 
                 // Delay between posts
                 await telegram.postDelay();
+            } else if (outcome.status === 'skipped') {
+                // Another run took the last slot or chat in the meantime
+                console.log(`[Post] Skipping: ${outcome.reason}`);
+                results.skipped++;
             } else {
                 results.failed++;
-                results.errors.push(`Failed to post: ${product.id}`);
+                results.errors.push(outcome.reason);
             }
         } catch (error) {
             results.failed++;
             results.errors.push(error.message);
             console.error(`[Post] Error:`, error.message);
-
-            // Stop on rate limit
-            if (error.message?.includes('Too Many Requests')) {
-                console.error('[Post] Rate limited, stopping');
-                break;
-            }
         }
     }
 
@@ -195,8 +457,7 @@ async function postProducts(products) {
 async function handler(req, res) {
     const startTime = Date.now();
 
-    console.log('[Run] Daily Trendz posting started');
-    console.log(`[Run] Sale mode: ${scheduler.isSaleMode()}`);
+    console.log(`[Run] Daily Trendz posting started at ${time.formatDateTime(startTime)}`);
 
     try {
         // 1. Validate authentication
@@ -208,12 +469,65 @@ async function handler(req, res) {
             });
         }
 
+        // Admins can pause scheduled posting from the bot (/pause, /resume)
+        const adminControls = await controls.getControls();
+        if (adminControls.paused) {
+            console.log('[Run] Posting paused by admin');
+            return res.status(200).json({
+                success: true,
+                message: 'Posting paused'
+            });
+        }
+
+        // Authenticated callers may force sale mode on/off for this run,
+        // otherwise the bot's /sale setting applies
+        const saleOverride = getSaleOverride(req);
+        sales.forceSaleMode(saleOverride !== null ? saleOverride : adminControls.saleMode);
+        const sale = sales.getActiveSale();
+        console.log(`[Run] Sale mode: ${sale ? sale.name : 'off'}`);
+
         // 2. Initialize modules
-        dedupe.initialize();
-        scheduler.initCounters();
+        await dedupe.initialize();
+        await history.initialize();
+        await matching.initialize();
+        await scheduler.initCounters();
+        providers.resetQuotaReports();
+
+        // Resolve the time slot (quiet hours and off-slot runs don't discover deals)
+        const slotPlan = scheduler.getSessionPlan({ slot: req.query?.slot });
+
+        // 3. Publish scheduled queue items that are due (any slot, never in quiet hours);
+        // inside a slot they use up part of its plan
+        const drained = await queue.drain(slotPlan);
+        await dedupe.flush();
+        await history.flush();
+        console.log(`[Run] Post queue: ${drained.posted} posted, ${drained.waiting} waiting`);
+
+        const plan = getRemainingPlan(slotPlan, drained);
+
+        if (!plan.allowed) {
+            console.log(`[Run] Not posting: ${plan.reason}`);
+            return res.status(200).json({
+                success: true,
+                message: plan.reason,
+                queue: drained
+            });
+        }
+
+        console.log(`[Run] Time slot: ${plan.slot}`);
+
+        // Edit earlier posts whose deal sold out or changed price
+        const recheck = await expiry.recheckPosts();
+        await dedupe.flush();
+        await history.flush();
+        console.log(`[Run] Re-checked ${recheck.checked} posts (${recheck.expired} expired, ${recheck.updated} repriced)`);
+
+        // Deals approved in the review chat since the last run go first
+        await moderation.expirePending();
+        const approved = await moderation.getApproved();
 
-        // 3. Check if we have room for more posts
-        const stats = scheduler.getStats();
+        // 4. Check if we have room for more posts
+        const stats = await scheduler.getStats();
         const totalLimit = scheduler.getTotalLimit();
 
         if (stats.total >= totalLimit) {
@@ -221,45 +535,58 @@ async function handler(req, res) {
             return res.status(200).json({
                 success: true,
                 message: 'Daily limit reached',
+                recheck: recheck,
+                queue: drained,
                 stats: stats
             });
         }
 
-        // 4. Select categories for this session
-        const selectedCategories = scheduler.selectCategories(3);
+        // 5. Select categories for this session (slot preferences first)
+        const selectedCategories = scheduler.selectCategories(3, plan.categories);
         console.log(`[Run] Selected categories: ${selectedCategories.join(', ')}`);
 
-        // 5. Get filter settings
+        // 6. Get filter settings
         const filters = scheduler.getFilters();
 
-        // 6. Fetch products
+        // 7. Fetch products and curated deals (Deals of the Day, offers)
         console.log('[Run] Fetching products...');
-        const products = await fetchProducts(selectedCategories, filters);
-        console.log(`[Run] Fetched ${products.length} products`);
+        const products = await fetchProducts(selectedCategories, filters, plan);
+        const deals = await providers.fetchDeals(deal => dedupe.filterDuplicates([deal], getDestinationKeys).length > 0);
+        console.log(`[Run] Fetched ${products.length} products, ${deals.length} deals`);
+        await history.flush();
 
-        if (products.length === 0) {
+        if (products.length === 0 && deals.length === 0 && approved.length === 0) {
             return res.status(200).json({
                 success: true,
                 message: 'No products found matching criteria',
+                recheck: recheck,
+                queue: drained,
                 stats: stats
             });
         }
 
-        // 7. Filter duplicates
-        const uniqueProducts = dedupe.filterDuplicates(products);
+        // 8. Filter duplicates
+        const uniqueProducts = dedupe.filterDuplicates(products, getDestinationKeys);
         console.log(`[Run] After dedupe: ${uniqueProducts.length} products`);
 
-        // 8. Sort by discount (best deals first)
-        uniqueProducts.sort((a, b) => b.discount - a.discount);
+        // 9. Sort by discount (best deals first), capped by the drop seen in price history
+        const discounts = new Map(uniqueProducts.map(p => [p, authenticity.getEffectiveDiscount(p)]));
+        uniqueProducts.sort((a, b) => discounts.get(b) - discounts.get(a));
 
-        // 9. Post to Telegram
+        // 10. Post to Telegram (approved, then curated deals go first),
+        // one post per model with its other colours and sizes listed
         console.log('[Run] Posting to Telegram...');
-        const results = await postProducts(uniqueProducts);
+        const candidates = variants.groupVariants(
+            await controls.filterBlocked([...approved, ...deals, ...uniqueProducts]),
+            product => discounts.get(product) ?? authenticity.getEffectiveDiscount(product)
+        );
+        const results = await postProducts(candidates, plan, filters);
 
-        // 10. Save dedupe data
-        dedupe.flush();
+        // 11. Save dedupe data and prices seen while verifying
+        await dedupe.flush();
+        await history.flush();
 
-        // 11. Calculate duration
+        // 12. Calculate duration
         const duration = Date.now() - startTime;
 
         console.log(`[Run] Completed in ${duration}ms`);
@@ -268,8 +595,13 @@ async function handler(req, res) {
         return res.status(200).json({
             success: true,
             message: `Posted ${results.posted} deals`,
+            slot: plan.slot,
+            sale: sale ? sale.name : null,
             results: results,
-            stats: scheduler.getStats(),
+            recheck: recheck,
+            queue: drained,
+            quota: await providers.getQuotaReports(),
+            stats: await scheduler.getStats(),
             duration: `${duration}ms`
         });
 
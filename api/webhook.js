@@ -0,0 +1,111 @@
+/**
+ * Daily Trendz - Telegram Bot Webhook
+ *
+ * Receives bot updates pushed by Telegram (register it with setWebhook
+ * and a secret_token):
+ * - Approve / Reject / Edit presses from the admin review chat
+ * - Replies to edit prompts carrying the new post text
+ * - Admin commands (/stats, /post, /skip, /pause, /resume, /sale)
+ *
+ * Always answers 200 once authenticated, so Telegram doesn't redeliver
+ * an update that failed on our side.
+ *
+ * @module api/webhook
+ */
+
+// Load environment from .env in development
+if (process.env.NODE_ENV !== 'production') {
+    require('dotenv').config({ path: '.env.local' });
+}
+
+const dedupe = require('../lib/dedupe');
+const scheduler = require('../lib/scheduler');
+const history = require('../lib/history');
+const sales = require('../lib/sales');
+const controls = require('../lib/controls');
+const moderation = require('../lib/moderation');
+const commands = require('../lib/commands');
+
+/**
+ * Validate the secret token Telegram sends with each update
+ * Updates act as the admins (approvals, commands), so without a
+ * configured secret every update is refused.
+ * @param {Object} req - Request object
+ * @returns {boolean} True if authenticated
+ */
+function validateSecret(req) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+
+    if (!secret) {
+        console.error('[Webhook] No TELEGRAM_WEBHOOK_SECRET configured, rejecting request');
+        return false;
+    }
+
+    return req.headers['x-telegram-bot-api-secret-token'] === secret;
+}
+
+/**
+ * Route an update to the module that handles it
+ * @param {Object} update - Telegram update
+ * @returns {Promise<string>} What the update was handled as
+ */
+async function handleUpdate(update) {
+    if (update.callback_query) {
+        return (await moderation.handleCallback(update.callback_query)) ? 'moderation' : 'ignored';
+    }
+
+    if (update.message?.reply_to_message && await moderation.handleReply(update.message)) {
+        return 'moderation-edit';
+    }
+
+    if (update.message?.text) {
+        return (await commands.handleCommand(update.message)) ? 'command' : 'ignored';
+    }
+
+    return 'ignored';
+}
+
+/**
+ * Webhook handler
+ * @param {Object} req - Vercel request
+ * @param {Object} res - Vercel response
+ */
+async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    if (!validateSecret(req)) {
+        console.warn('[Webhook] Unauthorized update');
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    let update;
+    try {
+        update = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    } catch (error) {
+        console.warn('[Webhook] Invalid update body:', error.message);
+        return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+    }
+
+    try {
+        // Approvals and /post publish right away, which needs dedupe, counters and sale mode;
+        // /history reads the price series
+        await dedupe.initialize();
+        await history.initialize();
+        await scheduler.initCounters();
+        sales.forceSaleMode(await controls.getSaleMode());
+
+        const handled = await handleUpdate(update);
+        await dedupe.flush();
+        await history.flush();
+
+        console.log(`[Webhook] Update ${update.update_id}: ${handled}`);
+        return res.status(200).json({ success: true, handled });
+    } catch (error) {
+        console.error('[Webhook] Update error:', error);
+        return res.status(200).json({ success: false, error: error.message });
+    }
+}
+
+module.exports = handler;
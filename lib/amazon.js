@@ -2,29 +2,105 @@
  * Amazon Product Advertising API 5.0 Integration
  * 
  * Uses amazon-paapi npm package for PA-API 5.0.
- * Strict rate limiting enforced (1 TPS for new accounts).
+ * Requests go through a persisted token bucket (1 TPS for new accounts)
+ * with a daily request quota and backoff on TooManyRequests.
+ * Several marketplaces (amazon.in, .com, .co.uk...) can be enabled,
+ * each with its own associate tag, currency and request budget.
  * 
  * @module lib/amazon
  */
 
 const amazonPaapi = require('amazon-paapi');
 const settings = require('../config/settings.json');
+const throttle = require('./throttle');
+const history = require('./history');
+
+// Quota settings (PA-API quotas scale with shipped revenue)
+const quota = {
+    requestsPerSecond: 1,
+    burst: 1,
+    dailyRequests: 8640,
+    maxRetries: 3,
+    baseBackoffMs: 2000,
+    maxBackoffMs: 30000,
+    ...settings.sources.amazon.quota
+};
+
+// Shared request budget across invocations, one bucket per marketplace
+const throttles = new Map();
 
-// Rate limiting state
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 1100; // 1.1 seconds (safe buffer for 1 TPS)
+// PA-API accepts at most 10 ItemIds per GetItems request
+const GET_ITEMS_BATCH_SIZE = 10;
+
+/**
+ * Get configured marketplaces
+ * Falls back to the single legacy sources.amazon.marketplace setting.
+ * @returns {Array} [{ id, marketplace, partnerTagEnv, currency, channels, enabled, quota }]
+ */
+function getMarketplaces() {
+    const amazonSettings = settings.sources.amazon;
+
+    if (Array.isArray(amazonSettings.marketplaces) && amazonSettings.marketplaces.length > 0) {
+        return amazonSettings.marketplaces;
+    }
+
+    return [{
+        id: 'in',
+        marketplace: amazonSettings.marketplace,
+        partnerTagEnv: 'AMAZON_ASSOCIATE_TAG',
+        currency: 'INR'
+    }];
+}
+
+/**
+ * Get enabled marketplaces (the first one is the default)
+ * @returns {Array} Marketplace configs
+ */
+function getEnabledMarketplaces() {
+    return getMarketplaces().filter(mp => mp.enabled !== false);
+}
+
+/**
+ * Get a marketplace by ID, or the default one
+ * @param {string} marketplaceId - Marketplace ID (e.g. "in", "com", "co.uk")
+ * @returns {Object} Marketplace config
+ */
+function getMarketplace(marketplaceId = null) {
+    const marketplaces = getMarketplaces();
+    return marketplaces.find(mp => mp.id === marketplaceId) || marketplaces[0];
+}
+
+/**
+ * Get the request throttle for a marketplace
+ * @param {Object} marketplace - Marketplace config
+ * @returns {Object} Throttle
+ */
+function getThrottle(marketplace) {
+    if (!throttles.has(marketplace.id)) {
+        const limits = { ...quota, ...marketplace.quota };
+
+        throttles.set(marketplace.id, throttle.createThrottle({
+            name: `amazon-${marketplace.id}`,
+            ratePerSecond: limits.requestsPerSecond,
+            burst: limits.burst,
+            dailyLimit: limits.dailyRequests
+        }));
+    }
+    return throttles.get(marketplace.id);
+}
 
 /**
  * Get Amazon PA-API common parameters
+ * @param {Object} marketplace - Marketplace config (defaults to the first one)
  * @returns {Object} Common parameters for all requests
  */
-function getCommonParams() {
+function getCommonParams(marketplace = getMarketplace()) {
     const accessKey = process.env.AMAZON_ACCESS_KEY;
     const secretKey = process.env.AMAZON_SECRET_KEY;
-    const partnerTag = process.env.AMAZON_ASSOCIATE_TAG;
+    const partnerTag = process.env[marketplace.partnerTagEnv || 'AMAZON_ASSOCIATE_TAG'];
 
     if (!accessKey || !secretKey || !partnerTag) {
-        throw new Error('Amazon PA-API credentials not configured');
+        throw new Error(`Amazon PA-API credentials not configured for ${marketplace.marketplace}`);
     }
 
     return {
@@ -32,32 +108,144 @@ function getCommonParams() {
         SecretKey: secretKey,
         PartnerTag: partnerTag,
         PartnerType: 'Associates',
-        Marketplace: settings.sources.amazon.marketplace
+        Marketplace: marketplace.marketplace
     };
 }
 
 /**
- * Enforce rate limiting (1 request per second)
+ * Check if an error is a PA-API throttling response
+ * @param {Object} error - Error from the SDK
+ * @returns {boolean} True for HTTP 429 / TooManyRequests
+ */
+function isThrottled(error) {
+    if (error?.status === 429) return true;
+    const text = `${error?.message || ''} ${error?.response?.text || ''}`;
+    return /TooManyRequests|Too Many Requests/i.test(text);
+}
+
+/**
+ * Read a Retry-After hint from a throttling response
+ * @param {Object} error - Error from the SDK
+ * @returns {number|null} Delay in ms or null without a hint
+ */
+function getRetryAfterMs(error) {
+    const header = error?.response?.headers?.['retry-after'] || error?.response?.header?.['retry-after'];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Call a PA-API operation through the throttle
+ * Each attempt takes a token from the marketplace's bucket;
+ * TooManyRequests responses are retried with exponential backoff.
+ * @param {string} operation - SDK operation (SearchItems, GetItems)
+ * @param {Object} requestParams - Operation parameters
+ * @param {Object} marketplace - Marketplace config (defaults to the first one)
+ * @returns {Promise<Object>} API response
+ */
+async function callApi(operation, requestParams, marketplace = getMarketplace()) {
+    const commonParams = getCommonParams(marketplace);
+    const requestThrottle = getThrottle(marketplace);
+
+    return throttle.withBackoff(async () => {
+        await requestThrottle.acquire();
+        return amazonPaapi[operation](commonParams, requestParams);
+    }, {
+        maxRetries: quota.maxRetries,
+        baseMs: quota.baseBackoffMs,
+        maxMs: quota.maxBackoffMs,
+        isRetryable: isThrottled,
+        getRetryAfterMs: getRetryAfterMs,
+        onRetry: (error, attempt, delayMs) => {
+            requestThrottle.recordRetry(delayMs);
+            console.warn(`[Amazon] ${operation} (${marketplace.id}) throttled, retry ${attempt} in ${delayMs}ms`);
+        }
+    });
+}
+
+/**
+ * Get the quota report for this run
+ * @returns {Promise<Object>} Per marketplace: requests, retries and waits this run plus today's usage
  */
-async function enforceRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - lastRequestTime;
+async function getQuotaReport() {
+    const report = {};
 
-    if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-        const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+    for (const marketplace of getEnabledMarketplaces()) {
+        const requestThrottle = getThrottle(marketplace);
+        report[marketplace.id] = { ...requestThrottle.getReport(), ...await requestThrottle.getUsage() };
     }
 
-    lastRequestTime = Date.now();
+    return report;
+}
+
+/**
+ * Get how many requests are left in today's quota
+ * @param {string} marketplaceId - Marketplace ID (defaults to the first one)
+ * @returns {Promise<number>} Remaining requests
+ */
+async function getRemainingRequests(marketplaceId = null) {
+    const { remaining } = await getThrottle(getMarketplace(marketplaceId)).getUsage();
+    return remaining === null ? Infinity : remaining;
+}
+
+/**
+ * Start a fresh per-run quota report
+ */
+function resetQuotaReport() {
+    throttles.forEach(requestThrottle => requestThrottle.resetReport());
+}
+
+/**
+ * Build the product ID for a marketplace listing
+ * The default marketplace uses the bare ASIN; others are prefixed
+ * ("com:B0ABC12345") since the same ASIN exists on several stores.
+ * @param {string} asin - Amazon ASIN
+ * @param {Object} marketplace - Marketplace config
+ * @returns {string} Product ID
+ */
+function buildProductId(asin, marketplace) {
+    return marketplace.id === getMarketplace().id ? asin : `${marketplace.id}:${asin}`;
+}
+
+/**
+ * Split a product ID into marketplace and ASIN
+ * @param {string} productId - Product ID from buildProductId
+ * @returns {Object} { marketplace, asin }
+ */
+function parseProductId(productId) {
+    const [prefix, asin] = String(productId).includes(':')
+        ? String(productId).split(':')
+        : [null, String(productId)];
+
+    return { marketplace: getMarketplace(prefix), asin };
+}
+
+/**
+ * Get the browse node for a category on a marketplace
+ * @param {Object} categoryInfo - categories.json entry
+ * @param {Object} marketplace - Marketplace config
+ * @returns {string|null} Browse node ID
+ */
+function getBrowseNode(categoryInfo, marketplace) {
+    if (categoryInfo.amazonNodes?.[marketplace.id]) {
+        return categoryInfo.amazonNodes[marketplace.id];
+    }
+    return marketplace.id === getMarketplace().id ? categoryInfo.amazonNode || null : null;
 }
 
 /**
  * Transform Amazon API response to standard product format
  * @param {Object} item - Amazon product item
  * @param {string} category - Category name
+ * @param {Object} marketplace - Marketplace the item came from
  * @returns {Object} Standardized product object
  */
-function transformProduct(item, category = '') {
+function transformProduct(item, category = '', marketplace = getMarketplace()) {
     const listing = item.Offers?.Listings?.[0];
     const price = listing?.Price?.Amount || 0;
     const savingsPercent = listing?.Price?.Savings?.Percentage || 0;
@@ -66,12 +254,15 @@ function transformProduct(item, category = '') {
         : price;
 
     return {
-        id: item.ASIN,
+        id: buildProductId(item.ASIN, marketplace),
+        asin: item.ASIN,
+        marketplace: marketplace.id,
+        channels: marketplace.channels || null,
         name: item.ItemInfo?.Title?.DisplayValue || 'Unknown Product',
         price: price,
         originalPrice: originalPrice,
         discount: savingsPercent,
-        currency: listing?.Price?.Currency || 'INR',
+        currency: listing?.Price?.Currency || marketplace.currency || 'INR',
         inStock: listing?.Availability?.Type === 'Now',
         imageUrl: item.Images?.Primary?.Medium?.URL || '',
         affiliateUrl: item.DetailPageURL, // Affiliate link with tag
@@ -86,12 +277,13 @@ function transformProduct(item, category = '') {
  * @param {string} keywords - Search keywords
  * @param {string} browseNodeId - Optional category node ID
  * @param {Object} filters - Filter options
+ * @param {string} marketplaceId - Marketplace ID (defaults to the first one)
  * @returns {Promise<Array>} List of products
  */
-async function searchProducts(keywords, browseNodeId = null, filters = {}) {
-    try {
-        await enforceRateLimit();
+async function searchProducts(keywords, browseNodeId = null, filters = {}, marketplaceId = null) {
+    const marketplace = getMarketplace(marketplaceId);
 
+    try {
         const requestParams = {
             Keywords: keywords,
             Resources: [
@@ -117,19 +309,20 @@ async function searchProducts(keywords, browseNodeId = null, filters = {}) {
             requestParams.MaxPrice = filters.maxPrice * 100;
         }
 
-        const response = await amazonPaapi.SearchItems(getCommonParams(), requestParams);
+        const response = await callApi('SearchItems', requestParams, marketplace);
 
         if (!response.SearchResult?.Items) {
             return [];
         }
 
-        return response.SearchResult.Items
-            .map(item => transformProduct(item, keywords))
-            .filter(product => {
-                if (filters.minDiscountPercent && product.discount < filters.minDiscountPercent) return false;
-                if (filters.requireInStock && !product.inStock) return false;
-                return true;
-            });
+        const products = response.SearchResult.Items.map(item => transformProduct(item, keywords, marketplace));
+        history.observe(products);
+
+        return products.filter(product => {
+            if (filters.minDiscountPercent && product.discount < filters.minDiscountPercent) return false;
+            if (filters.requireInStock && !product.inStock) return false;
+            return true;
+        });
     } catch (error) {
         console.error('[Amazon] Search error:', error.message);
         return [];
@@ -141,12 +334,13 @@ async function searchProducts(keywords, browseNodeId = null, filters = {}) {
  * @param {string} nodeId - Amazon browse node ID
  * @param {string} categoryName - Category name for display
  * @param {Object} filters - Filter options
+ * @param {string} marketplaceId - Marketplace ID (defaults to the first one)
  * @returns {Promise<Array>} List of products
  */
-async function getProductsByCategory(nodeId, categoryName, filters = {}) {
-    try {
-        await enforceRateLimit();
+async function getProductsByCategory(nodeId, categoryName, filters = {}, marketplaceId = null) {
+    const marketplace = getMarketplace(marketplaceId);
 
+    try {
         const requestParams = {
             BrowseNodeId: nodeId,
             Resources: [
@@ -159,22 +353,23 @@ async function getProductsByCategory(nodeId, categoryName, filters = {}) {
             ItemCount: 10
         };
 
-        const response = await amazonPaapi.SearchItems(getCommonParams(), {
+        const response = await callApi('SearchItems', {
             ...requestParams,
             Keywords: categoryName // Fallback for node-based search
-        });
+        }, marketplace);
 
         if (!response.SearchResult?.Items) {
             return [];
         }
 
-        return response.SearchResult.Items
-            .map(item => transformProduct(item, categoryName))
-            .filter(product => {
-                if (filters.minDiscountPercent && product.discount < filters.minDiscountPercent) return false;
-                if (filters.requireInStock && !product.inStock) return false;
-                return true;
-            });
+        const products = response.SearchResult.Items.map(item => transformProduct(item, categoryName, marketplace));
+        history.observe(products);
+
+        return products.filter(product => {
+            if (filters.minDiscountPercent && product.discount < filters.minDiscountPercent) return false;
+            if (filters.requireInStock && !product.inStock) return false;
+            return true;
+        });
     } catch (error) {
         console.error('[Amazon] Category fetch error:', error.message);
         return [];
@@ -185,9 +380,10 @@ async function getProductsByCategory(nodeId, categoryName, filters = {}) {
  * Get deals and offers (searches for deal-related keywords)
  * @param {Object} filters - Filter options
  * @param {number} limit - Maximum products
+ * @param {string} marketplaceId - Marketplace ID (defaults to the first one)
  * @returns {Promise<Array>} List of deals
  */
-async function getDeals(filters = {}, limit = 5) {
+async function getDeals(filters = {}, limit = 5, marketplaceId = null) {
     try {
         // Search for deals using common deal keywords
         const dealKeywords = ['deals', 'offers', 'sale'];
@@ -199,7 +395,7 @@ async function getDeals(filters = {}, limit = 5) {
             const products = await searchProducts(keyword, null, {
                 ...filters,
                 minDiscountPercent: filters.minDiscountPercent || 15
-            });
+            }, marketplaceId);
 
             allDeals = allDeals.concat(products);
         }
@@ -222,15 +418,17 @@ async function getDeals(filters = {}, limit = 5) {
 
 /**
  * Get product details by ASIN
- * @param {string} asin - Amazon ASIN
+ * @param {string} asin - Amazon ASIN (or a "com:ASIN" product ID)
+ * @param {string} marketplaceId - Marketplace ID (defaults to the ID prefix or the first one)
  * @returns {Promise<Object|null>} Product details or null
  */
-async function getProductByAsin(asin) {
-    try {
-        await enforceRateLimit();
+async function getProductByAsin(asin, marketplaceId = null) {
+    const parsed = parseProductId(asin);
+    const marketplace = marketplaceId ? getMarketplace(marketplaceId) : parsed.marketplace;
 
-        const response = await amazonPaapi.GetItems(getCommonParams(), {
-            ItemIds: [asin],
+    try {
+        const response = await callApi('GetItems', {
+            ItemIds: [parsed.asin],
             Resources: [
                 'ItemInfo.Title',
                 'ItemInfo.Features',
@@ -239,22 +437,146 @@ async function getProductByAsin(asin) {
                 'Images.Primary.Medium',
                 'CustomerReviews.StarRating'
             ]
-        });
+        }, marketplace);
 
         if (!response.ItemsResult?.Items?.[0]) {
             return null;
         }
 
-        return transformProduct(response.ItemsResult.Items[0]);
+        const product = transformProduct(response.ItemsResult.Items[0], '', marketplace);
+        history.observe([product]);
+        return product;
     } catch (error) {
         console.error('[Amazon] ASIN lookup error:', error.message);
         return null;
     }
 }
 
+/**
+ * Get product details for several ASINs
+ * Batches ASINs into GetItems calls of up to 10 items (the PA-API maximum).
+ * Unlike getProductByAsin, request errors are thrown so callers can tell
+ * "not found" apart from "could not check".
+ * @param {Array} asins - Amazon ASINs
+ * @param {string} marketplaceId - Marketplace ID (defaults to the first one)
+ * @returns {Promise<Map>} ASIN -> product (missing ASINs are absent)
+ */
+async function getProductsByAsins(asins, marketplaceId = null) {
+    const marketplace = getMarketplace(marketplaceId);
+    const found = new Map();
+    const unique = [...new Set(asins.filter(Boolean))];
+
+    for (let i = 0; i < unique.length; i += GET_ITEMS_BATCH_SIZE) {
+        const batch = unique.slice(i, i + GET_ITEMS_BATCH_SIZE);
+
+        const response = await callApi('GetItems', {
+            ItemIds: batch,
+            Resources: [
+                'ItemInfo.Title',
+                'Offers.Listings.Price',
+                'Offers.Listings.Availability.Type',
+                'Images.Primary.Medium',
+                'CustomerReviews.StarRating'
+            ]
+        }, marketplace);
+
+        for (const item of response.ItemsResult?.Items || []) {
+            found.set(item.ASIN, transformProduct(item, '', marketplace));
+        }
+    }
+
+    history.observe([...found.values()]);
+
+    return found;
+}
+
+/**
+ * Re-check price and availability of products right before posting
+ * Amazon Associates rules forbid advertising stale prices, so every
+ * product is refreshed from GetItems. Products that went out of stock,
+ * fell below the discount filter or (optionally) got more expensive are
+ * dropped; others take the fresh price so the post is formatted from it.
+ * @param {Array} products - Amazon products about to be posted
+ * @param {Object} filters - Filter options
+ * @returns {Promise<Array>} [{ product, status: ok|updated|dropped, reason, failed, outOfStock }]
+ *   failed is set when the lookup itself failed (status unknown),
+ *   outOfStock when GetItems reported the product unavailable
+ */
+async function verifyProducts(products, filters = {}) {
+    const verification = settings.sources.amazon.verification || {};
+    const fresh = new Map();
+    const failed = new Set();
+
+    // GetItems only looks up one marketplace per call
+    const byMarketplace = new Map();
+    for (const product of products) {
+        const { marketplace, asin } = parseProductId(product.id);
+        if (!byMarketplace.has(marketplace.id)) byMarketplace.set(marketplace.id, []);
+        byMarketplace.get(marketplace.id).push(asin);
+    }
+
+    for (const [marketplaceId, asins] of byMarketplace) {
+        try {
+            const found = await getProductsByAsins(asins, marketplaceId);
+            found.forEach((latest, asin) => fresh.set(buildProductId(asin, getMarketplace(marketplaceId)), latest));
+        } catch (error) {
+            console.error(`[Amazon] Verification error (${marketplaceId}):`, error.message);
+            failed.add(marketplaceId);
+        }
+    }
+
+    return products.map(product => {
+        const latest = fresh.get(product.id);
+
+        if (failed.has(parseProductId(product.id).marketplace.id)) {
+            return { product, status: 'dropped', reason: 'Verification failed', failed: true };
+        }
+        if (!latest) {
+            return { product, status: 'dropped', reason: 'No longer available' };
+        }
+        if (!latest.inStock) {
+            return { product, status: 'dropped', reason: 'Out of stock', outOfStock: true };
+        }
+        if (filters.minDiscountPercent && latest.discount < filters.minDiscountPercent) {
+            return { product, status: 'dropped', reason: `Discount fell to ${latest.discount}%` };
+        }
+        if (latest.price > product.price && verification.dropOnPriceIncrease) {
+            return { product, status: 'dropped', reason: `Price rose to ${latest.price}` };
+        }
+
+        if (latest.price === product.price && latest.discount === product.discount) {
+            return { product, status: 'ok', reason: 'OK' };
+        }
+
+        return {
+            product: {
+                ...product,
+                price: latest.price,
+                originalPrice: latest.originalPrice,
+                discount: latest.discount,
+                affiliateUrl: latest.affiliateUrl || product.affiliateUrl
+            },
+            status: 'updated',
+            reason: `Price changed from ${product.price} to ${latest.price}`
+        };
+    });
+}
+
 module.exports = {
+    getMarketplaces,
+    getEnabledMarketplaces,
+    getMarketplace,
+    getBrowseNode,
+    buildProductId,
+    parseProductId,
     searchProducts,
     getProductsByCategory,
     getDeals,
-    getProductByAsin
+    getProductByAsin,
+    getProductsByAsins,
+    verifyProducts,
+    getQuotaReport,
+    getRemainingRequests,
+    resetQuotaReport,
+    GET_ITEMS_BATCH_SIZE
 };
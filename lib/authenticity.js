@@ -0,0 +1,133 @@
+/**
+ * Discount Authenticity
+ *
+ * The listed discount is only as honest as the MRP behind it: Flipkart's
+ * comes from maximumRetailPrice and Amazon's originalPrice is worked back
+ * from Savings.Percentage. This module judges a deal against the prices
+ * recorded by lib/history instead:
+ * - MRP raised: the MRP is well above the lowest MRP seen in the window
+ *   (the classic bump right before a sale)
+ * - Usual price: the price hasn't moved for the whole history, or is not
+ *   meaningfully below what the product cost before it reached this price
+ *
+ * Products without enough history can't be judged and pass as "unknown".
+ * authenticity.action decides whether fake deals are dropped or only
+ * flagged in the run results.
+ *
+ * @module lib/authenticity
+ */
+
+const settings = require('../config/settings.json');
+const history = require('./history');
+const formatter = require('./formatter');
+const time = require('./time');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get authenticity settings
+ * @returns {Object} { enabled, action: 'drop'|'flag', windowDays, minHistoryDays,
+ *   maxMrpIncreasePercent, minRealDropPercent }
+ */
+function getSettings() {
+    return {
+        enabled: true,
+        action: 'drop',
+        windowDays: 30,
+        minHistoryDays: 3,
+        maxMrpIncreasePercent: 10,
+        minRealDropPercent: 5,
+        ...settings.authenticity
+    };
+}
+
+/**
+ * Judge a product's discount against its price history
+ * @param {Object} product - Product with source, id, price, originalPrice, currency
+ * @returns {Object} { status: genuine|fake|unknown, reason, realDiscount, referencePrice }
+ *   realDiscount is the drop from referencePrice in percent (null when unknown)
+ */
+function check(product) {
+    const options = getSettings();
+    const unknown = { status: 'unknown', reason: 'Not enough history', realDiscount: null, referencePrice: null };
+
+    // Curated offers carry no comparable price
+    if (!options.enabled || product.type || !product.price) return unknown;
+
+    const now = Date.now();
+    const points = history.getHistory(product)
+        .filter(point => point.price && point.at >= now - options.windowDays * DAY_MS);
+
+    if (points.length === 0 || now - points[0].at < options.minHistoryDays * DAY_MS) {
+        return unknown;
+    }
+
+    const price = product.price;
+    const currency = product.currency;
+
+    // An MRP bumped above what we saw before inflates the discount
+    const lowestMrp = Math.min(...points.map(point => point.mrp || Infinity));
+    if (product.originalPrice > lowestMrp * (1 + options.maxMrpIncreasePercent / 100)) {
+        const realDiscount = Math.max(0, Math.round(((lowestMrp - price) / lowestMrp) * 100));
+        return {
+            status: 'fake',
+            reason: `MRP raised from ${formatter.formatPrice(lowestMrp, currency)} to ${formatter.formatPrice(product.originalPrice, currency)}`,
+            realDiscount: realDiscount,
+            referencePrice: lowestMrp
+        };
+    }
+
+    // Points before the price reached its current level
+    let since = points.length;
+    while (since > 0 && points[since - 1].price === price) since--;
+    const before = points.slice(0, since);
+
+    if (before.length === 0) {
+        return {
+            status: 'fake',
+            reason: `Price has been ${formatter.formatPrice(price, currency)} since ${time.formatDateTime(points[0].at)}`,
+            realDiscount: 0,
+            referencePrice: price
+        };
+    }
+
+    const referencePrice = Math.round(before.reduce((sum, point) => sum + point.price, 0) / before.length);
+    const realDiscount = Math.round(((referencePrice - price) / referencePrice) * 100);
+
+    if (realDiscount < options.minRealDropPercent) {
+        return {
+            status: 'fake',
+            reason: `${formatter.formatPrice(price, currency)} is its usual price (${options.windowDays}-day average ${formatter.formatPrice(referencePrice, currency)})`,
+            realDiscount: Math.max(0, realDiscount),
+            referencePrice: referencePrice
+        };
+    }
+
+    return { status: 'genuine', reason: 'OK', realDiscount, referencePrice };
+}
+
+/**
+ * Get the discount to rank a product by
+ * The listed discount, capped by the real drop when history can judge it.
+ * @param {Object} product - Product
+ * @returns {number} Discount percentage
+ */
+function getEffectiveDiscount(product) {
+    const { realDiscount } = check(product);
+    return realDiscount === null ? product.discount : Math.min(product.discount, realDiscount);
+}
+
+/**
+ * Check whether fake deals should be dropped (rather than only flagged)
+ * @returns {boolean} True when authenticity.action is "drop"
+ */
+function dropsFakes() {
+    return getSettings().action === 'drop';
+}
+
+module.exports = {
+    getSettings,
+    check,
+    getEffectiveDiscount,
+    dropsFakes
+};
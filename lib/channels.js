@@ -0,0 +1,133 @@
+/**
+ * Channel Routing
+ *
+ * Maps products to the Telegram chats they should be posted in.
+ * Chats are defined once under settings.telegram.channels and referenced
+ * by key from categories.json entries, sources or Amazon marketplaces.
+ *
+ * A product goes to the first of these that names any channel:
+ *   product.channels (e.g. set per marketplace)
+ *   categories.<key>.channels
+ *   settings.sources.<source>.channels
+ *   settings.telegram.defaultChannels
+ *
+ * Channels whose chat ID variable is not set are skipped, so a deploy
+ * without extra chats keeps posting everything to TELEGRAM_CHANNEL_ID.
+ *
+ * Channels marked "forum": true are supergroups with topics; deals go
+ * into the topic named by their category's "topic" setting.
+ *
+ * @module lib/channels
+ */
+
+const settings = require('../config/settings.json');
+const categories = require('../config/categories.json');
+
+// Channel used when nothing else is configured
+const DEFAULT_CHANNEL = 'main';
+
+/**
+ * Get all configured channels
+ * @returns {Object} Channel configs keyed by channel key
+ */
+function getChannels() {
+    return settings.telegram?.channels || {
+        [DEFAULT_CHANNEL]: { chatEnv: 'TELEGRAM_CHANNEL_ID' }
+    };
+}
+
+/**
+ * Get a channel config by key
+ * @param {string} key - Channel key
+ * @returns {Object|null} Channel config or null
+ */
+function getChannel(key) {
+    return getChannels()[key] || null;
+}
+
+/**
+ * Resolve the chat ID of a channel from its env variable
+ * @param {string} key - Channel key
+ * @returns {string|null} Chat ID or null when not configured
+ */
+function getChatId(key) {
+    const channel = getChannel(key);
+    if (!channel) return null;
+
+    return channel.chatId || process.env[channel.chatEnv] || null;
+}
+
+/**
+ * Get the daily post limit of a channel
+ * @param {string} key - Channel key
+ * @returns {number|null} Limit or null when uncapped
+ */
+function getChannelLimit(key) {
+    return getChannel(key)?.dailyLimit ?? null;
+}
+
+/**
+ * Get the default channel keys
+ * @returns {Array} Channel keys
+ */
+function getDefaultChannels() {
+    return settings.telegram?.defaultChannels || [DEFAULT_CHANNEL];
+}
+
+/**
+ * Get the channel keys a product is routed to
+ * @param {Object} product - Product with source and categoryKey
+ * @returns {Array} Channel keys (before checking they are configured)
+ */
+function getChannelKeys(product) {
+    const candidates = [
+        product.channels,
+        categories[product.categoryKey]?.channels,
+        settings.sources?.[product.source]?.channels
+    ];
+
+    return candidates.find(keys => Array.isArray(keys) && keys.length > 0) || getDefaultChannels();
+}
+
+/**
+ * Get the chats a product should be posted in
+ * Falls back to the default channels when none of the routed
+ * channels has a chat ID configured.
+ * @param {Object} product - Product with source and categoryKey
+ * @returns {Array} [{ key, chatId, forum }]
+ */
+function getDestinations(product) {
+    const resolve = keys => [...new Set(keys)]
+        .map(key => ({ key, chatId: getChatId(key), forum: getChannel(key)?.forum === true }))
+        .filter(destination => destination.chatId);
+
+    const destinations = resolve(getChannelKeys(product));
+    return destinations.length > 0 ? destinations : resolve(getDefaultChannels());
+}
+
+/**
+ * Get the forum topic for a product's category
+ * A category's "topic" is either a topic name or
+ * { name, threadId, iconColor } to pin an existing thread.
+ * @param {Object} product - Product with categoryKey
+ * @returns {Object|null} { name, threadId, iconColor } or null for the General topic
+ */
+function getTopic(product) {
+    const topic = categories[product.categoryKey]?.topic ||
+        settings.telegram?.topics?.[product.categoryKey];
+
+    if (!topic) return null;
+    return typeof topic === 'string' ? { name: topic } : topic;
+}
+
+module.exports = {
+    DEFAULT_CHANNEL,
+    getChannels,
+    getChannel,
+    getChatId,
+    getChannelLimit,
+    getDefaultChannels,
+    getChannelKeys,
+    getDestinations,
+    getTopic
+};
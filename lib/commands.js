@@ -0,0 +1,406 @@
+/**
+ * Bot Admin Commands
+ *
+ * Commands sent to the bot (through api/webhook.js) by admins:
+ *   /stats                     today's counters and limits
+ *   /post <url> [category]     look up a Flipkart/Amazon product and post it now
+ *   /link <url>                convert a product link into our affiliate link
+ *   /history <url|id>          price history of a product
+ *   /queue [url [when] [priority]]  schedule a product, or list the queue
+ *   /unqueue <id>              remove a scheduled product
+ *   /skip <id>                 blocklist a product
+ *   /pause, /resume            stop or start scheduled posting
+ *   /sale on|off|auto          force sale mode, or follow the calendar again
+ *
+ * Admins are the members of the review chat (TELEGRAM_ADMIN_CHAT_ID) and
+ * the user IDs listed in TELEGRAM_ADMIN_IDS. Anyone else is ignored.
+ *
+ * @module lib/commands
+ */
+
+const settings = require('../config/settings.json');
+const categories = require('../config/categories.json');
+const telegram = require('./telegram');
+const formatter = require('./formatter');
+const publisher = require('./publisher');
+const scheduler = require('./scheduler');
+const sales = require('./sales');
+const controls = require('./controls');
+const moderation = require('./moderation');
+const links = require('./links');
+const queue = require('./queue');
+const history = require('./history');
+const time = require('./time');
+
+const HELP_TEXT = [
+    '🤖 <b>Daily Trendz admin</b>',
+    '',
+    '/stats - today\'s posts and limits',
+    '/post &lt;url&gt; [category] - post a product now',
+    '/link &lt;url&gt; - get our affiliate link for a product',
+    '/history &lt;url|id&gt; - lowest, average and recent prices of a product',
+    '/queue &lt;url&gt; [when] [priority] - schedule a post (when: HH:MM or YYYY-MM-DD HH:MM)',
+    '/queue - list scheduled posts, /unqueue &lt;id&gt; - remove one',
+    '/skip &lt;id&gt; - never post a product',
+    '/pause, /resume - stop or start scheduled posting',
+    '/sale on|off|auto - force sale mode or follow the calendar'
+].join('\n');
+
+/**
+ * Get command settings
+ * @returns {Object} { enabled, adminIdsEnv }
+ */
+function getSettings() {
+    return {
+        enabled: true,
+        adminIdsEnv: 'TELEGRAM_ADMIN_IDS',
+        ...settings.commands
+    };
+}
+
+/**
+ * Get the user IDs allowed to send commands from any chat
+ * @returns {Array} User IDs as strings
+ */
+function getAdminIds() {
+    return String(process.env[getSettings().adminIdsEnv] || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Check if a message comes from an admin
+ * @param {Object} message - Telegram message
+ * @returns {boolean} True if the sender may run commands
+ */
+function isAdmin(message) {
+    const adminChat = moderation.getAdminChatId();
+    if (adminChat && String(message.chat?.id) === String(adminChat)) return true;
+
+    return getAdminIds().includes(String(message.from?.id));
+}
+
+/**
+ * Split a command message into name and arguments
+ * "/post@DailyTrendzBot https://..." -> { name: 'post', args: ['https://...'] }
+ * @param {string} text - Message text
+ * @returns {Object|null} { name, args } or null when not a command
+ */
+function parseCommand(text) {
+    const match = String(text || '').trim().match(/^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i);
+    if (!match) return null;
+
+    return {
+        name: match[1].toLowerCase(),
+        args: (match[2] || '').split(/\s+/).filter(Boolean)
+    };
+}
+
+/**
+ * Describe today's counters and limits
+ * @returns {Promise<string>} Formatted HTML message
+ */
+async function statsCommand() {
+    const stats = await scheduler.getStats();
+    const { paused, pausedBy, saleMode } = await controls.getControls();
+    const sale = sales.getActiveSale();
+    const blocked = Object.keys(await controls.getBlocklist()).length;
+
+    const lines = [
+        `📊 <b>Stats for ${stats.date}</b>`,
+        '',
+        `Total: ${stats.total}/${scheduler.getTotalLimit()}`,
+        `Flipkart: ${stats.flipkart || 0}/${scheduler.getSourceLimit('flipkart')}`,
+        `Amazon: ${stats.amazon || 0}/${scheduler.getSourceLimit('amazon')}`
+    ];
+
+    const byChannel = Object.entries(stats.byChannel || {});
+    if (byChannel.length > 0) {
+        lines.push(`Channels: ${byChannel.map(([key, count]) => `${key} ${count}`).join(', ')}`);
+    }
+
+    const byCategory = Object.entries(stats.byCategory || {});
+    if (byCategory.length > 0) {
+        lines.push(`Categories: ${byCategory.map(([key, count]) => `${key} ${count}`).join(', ')}`);
+    }
+
+    lines.push('');
+    lines.push(`Posting: ${paused ? `⏸ paused${pausedBy ? ` by ${formatter.escapeHtml(pausedBy)}` : ''}` : '▶️ active'}`);
+    lines.push(`Sale: ${sale ? formatter.escapeHtml(sale.name || 'on') : 'off'}${saleMode !== null ? ' (forced)' : ''}`);
+    lines.push(`Blocklisted products: ${blocked}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Convert a product link into our tagged affiliate link
+ * @param {Array} args - [url]
+ * @returns {Promise<string>} Reply text
+ */
+async function linkCommand(args) {
+    const [url] = args;
+    if (!url) return 'Usage: /link &lt;flipkart or amazon url&gt;';
+
+    const affiliateUrl = await links.toAffiliateUrl(url);
+    return affiliateUrl
+        ? `🔗 ${formatter.escapeHtml(affiliateUrl)}`
+        : '❓ Not a Flipkart or Amazon product link';
+}
+
+/**
+ * Work out the history key(s) of a product link or ID
+ * "flipkart_MOBxyz" names one series; a bare ID may belong to either store.
+ * @param {string} value - Product URL, source_id key or product ID
+ * @returns {Promise<Array>} Candidate source_id keys
+ */
+async function getHistoryKeys(value) {
+    const target = await links.parseProductUrl(value);
+    if (target) return [`${target.source}_${target.id}`];
+
+    if (/^[a-z]+_/.test(value)) return [value];
+    return [`flipkart_${value}`, `amazon_${value}`];
+}
+
+/**
+ * Show a product's price history
+ * @param {Array} args - [url or id]
+ * @returns {Promise<string>} Reply text
+ */
+async function historyCommand(args) {
+    const [value] = args;
+    if (!value) return 'Usage: /history &lt;product url or id&gt;';
+
+    const days = history.getSettings().lowestWindowDays;
+    const keys = await getHistoryKeys(value);
+    const key = keys.find(candidate => history.getStats(candidate, days));
+    if (!key) return `❓ No price history for ${formatter.escapeHtml(value)}`;
+
+    const stats = history.getStats(key, days);
+    const price = amount => amount ? formatter.formatPrice(amount, stats.currency) : 'out of stock';
+
+    const lines = [
+        `📈 <b>${formatter.escapeHtml(key)}</b>`,
+        `Tracked since ${time.formatDateTime(stats.since)}`,
+        '',
+        `Now: ${price(stats.current)}`
+    ];
+
+    if (stats.lowest !== null) {
+        lines.push(`${days}d lowest: ${price(stats.lowest)} · highest: ${price(stats.highest)} · avg: ${price(stats.average)}`);
+    }
+    if (stats.lastChange) {
+        lines.push(`Last change: ${price(stats.lastChange.from)} → ${price(stats.lastChange.to)} (${time.formatDateTime(stats.lastChange.at)})`);
+    }
+
+    lines.push('');
+    for (const point of history.getHistory(key).slice(-10).reverse()) {
+        lines.push(`${time.formatDateTime(point.at)} · ${point.inStock ? price(point.price) : 'out of stock'}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Look up a product by URL and post it right away
+ * Daily limits are not applied (the post still counts towards them);
+ * per-chat dedupe and channel limits are.
+ * @param {Array} args - [url, categoryKey]
+ * @returns {Promise<string>} Reply text
+ */
+async function postCommand(args) {
+    const [url, categoryKey] = args;
+    if (!url) return 'Usage: /post &lt;flipkart or amazon url&gt; [category]';
+
+    const target = await links.parseProductUrl(url);
+    if (!target) return '❓ Not a Flipkart or Amazon product link';
+
+    if (categoryKey && !categories[categoryKey]) {
+        return `❓ Unknown category: ${formatter.escapeHtml(categoryKey)}`;
+    }
+
+    const blocklist = await controls.getBlocklist();
+    if (blocklist[target.id]) return `🚫 ${target.id} is on the blocklist`;
+
+    const product = await links.lookupProduct(target);
+    if (!product) return `❓ Could not find ${target.source} product ${target.id}`;
+    if (!product.inStock) return `⚠️ ${target.id} is out of stock`;
+
+    const outcome = await publisher.publish(
+        { ...product, categoryKey: categoryKey || null },
+        { ignoreDailyLimits: true }
+    );
+
+    return outcome.status === 'posted'
+        ? `✅ Posted ${formatter.escapeHtml(formatter.truncate(product.name, 60))} to ${outcome.channels.join(', ')}`
+        : `⚠️ Not posted: ${formatter.escapeHtml(outcome.reason)}`;
+}
+
+/**
+ * List scheduled posts
+ * @returns {Promise<string>} Reply text
+ */
+async function listQueue() {
+    const pending = await queue.getPending();
+    if (pending.length === 0) return '📭 No scheduled posts';
+
+    const lines = [`🗓 <b>Scheduled posts (${pending.length})</b>`, ''];
+    for (const item of pending.slice(0, 20)) {
+        lines.push(`#${item.id} · ${time.formatDateTime(item.publishAt)} · p${item.priority}`);
+        lines.push(`  ${formatter.escapeHtml(formatter.truncate(item.product.name, 50))}${item.note ? ` <i>(${formatter.escapeHtml(item.note)})</i>` : ''}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Schedule a product, or list the queue when called without arguments
+ * "when" may be split over two words ("2024-10-05 18:00").
+ * @param {Array} args - [url, when..., priority]
+ * @param {string} by - Admin name
+ * @returns {Promise<string>} Reply text
+ */
+async function queueCommand(args, by) {
+    if (args.length === 0) return listQueue();
+
+    const [url, ...rest] = args;
+    const priority = /^-?\d+$/.test(rest[rest.length - 1] || '') ? Number(rest.pop()) : 0;
+    const when = rest.length > 0 && rest[0] !== 'now' ? rest.join(' ') : null;
+
+    if (when !== null && time.parseLocalDateTime(when) === null) {
+        return `❓ Can't read the time "${formatter.escapeHtml(when)}" (use HH:MM or YYYY-MM-DD HH:MM)`;
+    }
+
+    const item = await queue.enqueueUrl(url, { publishAt: when, priority, addedBy: by, origin: 'command' });
+    return `🗓 #${item.id} ${formatter.escapeHtml(formatter.truncate(item.product.name, 60))} scheduled for ${time.formatDateTime(item.publishAt)}`;
+}
+
+/**
+ * Remove a scheduled post
+ * @param {Array} args - [itemId]
+ * @returns {Promise<string>} Reply text
+ */
+async function unqueueCommand(args) {
+    const id = String(args[0] || '').replace(/^#/, '');
+    if (!id) return 'Usage: /unqueue &lt;id&gt;';
+
+    return (await queue.cancel(id))
+        ? `🗑 #${formatter.escapeHtml(id)} removed from the queue`
+        : `❓ No scheduled post #${formatter.escapeHtml(id)}`;
+}
+
+/**
+ * Blocklist a product
+ * @param {Array} args - [productId]
+ * @param {string} by - Admin name
+ * @returns {Promise<string>} Reply text
+ */
+async function skipCommand(args, by) {
+    const [productId] = args;
+    if (!productId) return 'Usage: /skip &lt;product id&gt;';
+
+    await controls.blockProduct(productId, by);
+    return `🚫 ${formatter.escapeHtml(productId)} won't be posted`;
+}
+
+/**
+ * Force sale mode or hand it back to the calendar
+ * @param {Array} args - ['on' | 'off' | 'auto']
+ * @returns {Promise<string>} Reply text
+ */
+async function saleCommand(args) {
+    const modes = { on: true, off: false, auto: null };
+    const mode = String(args[0] || '').toLowerCase();
+
+    if (!(mode in modes)) return 'Usage: /sale on|off|auto';
+
+    await controls.setSaleMode(modes[mode]);
+    sales.forceSaleMode(modes[mode]);
+
+    const sale = sales.getActiveSale();
+    return mode === 'auto'
+        ? `🗓 Sale mode follows the calendar (now ${sale ? formatter.escapeHtml(sale.name || 'on') : 'off'})`
+        : `🛍 Sale mode forced ${mode}`;
+}
+
+/**
+ * Run a command and build its reply
+ * @param {Object} command - { name, args }
+ * @param {string} by - Admin name
+ * @returns {Promise<string|null>} Reply text or null for unknown commands
+ */
+async function runCommand(command, by) {
+    switch (command.name) {
+        case 'start':
+        case 'help':
+            return HELP_TEXT;
+        case 'stats':
+            return statsCommand();
+        case 'post':
+            return postCommand(command.args);
+        case 'link':
+            return linkCommand(command.args);
+        case 'history':
+            return historyCommand(command.args);
+        case 'queue':
+            return queueCommand(command.args, by);
+        case 'unqueue':
+            return unqueueCommand(command.args);
+        case 'skip':
+            return skipCommand(command.args, by);
+        case 'pause':
+            await controls.setPaused(true, by);
+            return '⏸ Scheduled posting paused';
+        case 'resume':
+            await controls.setPaused(false);
+            return '▶️ Scheduled posting resumed';
+        case 'sale':
+            return saleCommand(command.args);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Handle a command message from the webhook
+ * @param {Object} message - Telegram message
+ * @returns {Promise<boolean>} True if the message was an admin command
+ */
+async function handleCommand(message) {
+    if (!getSettings().enabled) return false;
+
+    const command = parseCommand(message.text);
+    if (!command) return false;
+
+    if (!isAdmin(message)) {
+        console.warn(`[Commands] Ignored /${command.name} from ${message.from?.id}`);
+        return false;
+    }
+
+    const by = message.from?.username || message.from?.first_name || 'admin';
+    let reply;
+
+    try {
+        reply = await runCommand(command, by);
+    } catch (error) {
+        console.error(`[Commands] /${command.name} error:`, error.message);
+        reply = `⚠️ /${command.name} failed: ${formatter.escapeHtml(error.message)}`;
+    }
+
+    if (!reply) return false;
+
+    await telegram.sendMessageWithRetry(reply, {
+        chat_id: message.chat.id,
+        reply_to_message_id: message.message_id,
+        disable_web_page_preview: true
+    });
+
+    console.log(`[Commands] /${command.name} by ${by}`);
+    return true;
+}
+
+module.exports = {
+    isAdmin,
+    parseCommand,
+    handleCommand
+};
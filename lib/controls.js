@@ -0,0 +1,129 @@
+/**
+ * Admin Controls
+ *
+ * Runtime switches set from the bot's admin commands (api/webhook.js)
+ * and read by the posting run:
+ * - pause / resume scheduled posting
+ * - sale mode forced on or off (null follows the sale calendar)
+ * - blocklisted products that are never posted
+ *
+ * Stored in the state store so they survive between invocations.
+ *
+ * @module lib/controls
+ */
+
+const store = require('./store');
+
+// Store keys
+const CONTROLS_KEY = 'bot-controls';
+const BLOCKLIST_KEY = 'blocklist';
+
+/**
+ * Get the current controls
+ * @returns {Promise<Object>} { paused, pausedAt, pausedBy, saleMode }
+ */
+async function getControls() {
+    return {
+        paused: false,
+        pausedAt: null,
+        pausedBy: null,
+        saleMode: null,
+        ...(await store.get(CONTROLS_KEY, {}))
+    };
+}
+
+/**
+ * Atomically change the controls
+ * @param {Object} changes - Fields to merge
+ * @returns {Promise<Object>} Updated controls
+ */
+async function updateControls(changes) {
+    return store.update(CONTROLS_KEY, current => ({ ...current, ...changes }), {});
+}
+
+/**
+ * Check if scheduled posting is paused
+ * @returns {Promise<boolean>} True if paused
+ */
+async function isPaused() {
+    return (await getControls()).paused === true;
+}
+
+/**
+ * Pause or resume scheduled posting
+ * @param {boolean} paused - True to pause
+ * @param {string} by - Who changed it
+ * @returns {Promise<Object>} Updated controls
+ */
+async function setPaused(paused, by = null) {
+    return updateControls({
+        paused: paused,
+        pausedAt: paused ? Date.now() : null,
+        pausedBy: paused ? by : null
+    });
+}
+
+/**
+ * Get the stored sale mode override
+ * @returns {Promise<boolean|null>} true/false to force, null to follow the calendar
+ */
+async function getSaleMode() {
+    const { saleMode } = await getControls();
+    return typeof saleMode === 'boolean' ? saleMode : null;
+}
+
+/**
+ * Store a sale mode override
+ * @param {boolean|null} enabled - true/false to force, null to follow the calendar
+ * @returns {Promise<Object>} Updated controls
+ */
+async function setSaleMode(enabled) {
+    return updateControls({ saleMode: typeof enabled === 'boolean' ? enabled : null });
+}
+
+/**
+ * Get the blocklist
+ * @returns {Promise<Object>} product ID -> { blockedAt, blockedBy }
+ */
+async function getBlocklist() {
+    return store.get(BLOCKLIST_KEY, {});
+}
+
+/**
+ * Add a product to the blocklist
+ * @param {string} productId - Product ID (Flipkart pid, ASIN or "com:ASIN")
+ * @param {string} by - Who blocked it
+ * @returns {Promise<Object>} Updated blocklist
+ */
+async function blockProduct(productId, by = null) {
+    return store.update(BLOCKLIST_KEY, blocklist => {
+        blocklist[productId] = { blockedAt: Date.now(), blockedBy: by };
+        return blocklist;
+    }, {});
+}
+
+/**
+ * Drop blocklisted products from a list
+ * @param {Array} products - Products
+ * @returns {Promise<Array>} Products not on the blocklist
+ */
+async function filterBlocked(products) {
+    const blocklist = await getBlocklist();
+
+    return products.filter(product => {
+        if (!blocklist[product.id]) return true;
+        console.log(`[Controls] Blocked product skipped: ${product.id}`);
+        return false;
+    });
+}
+
+module.exports = {
+    getControls,
+    isPaused,
+    setPaused,
+    getSaleMode,
+    setSaleMode,
+    getBlocklist,
+    blockProduct,
+    filterBlocked
+};
@@ -2,134 +2,166 @@
  * Duplicate Prevention Module
  * 
  * Tracks posted product IDs to prevent duplicate posts.
- * Uses in-memory cache with JSON file persistence.
+ * Records live in lib/store under one key, so they are shared by every
+ * invocation (KV in production). They are loaded by initialize(),
+ * changed in memory during a run and written back in one store update
+ * by flush(), which merges them with what other runs saved meanwhile.
+ *
+ * Each record keeps when the product was posted and, when known, the
+ * Telegram message it went out as plus a snapshot of the product, so
+ * later runs can edit posts whose deal has died (see lib/expiry).
+ *
+ * The price a product was posted at is kept too: once its price beats
+ * that by deduplication.repostOnPriceDrop (minDropPercent or
+ * minDropAmount), the product stops counting as a duplicate and can be
+ * posted again before its TTL runs out.
  * 
  * @module lib/dedupe
  */
 
-const fs = require('fs');
-const path = require('path');
 const limits = require('../config/limits.json');
+const store = require('./store');
+const time = require('./time');
 
-// Data file path
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const POSTED_FILE = path.join(DATA_DIR, 'posted.json');
+// Store key for tracked posts: key -> record (the file store keeps it in data/posted.json)
+const POSTED_KEY = 'posted';
 
-// In-memory cache
+// In-memory cache: key -> { postedAt, price, chatId, messageId, kind, product, status, checkedAt }
 let postedProducts = new Map();
 
+// Changes not yet flushed: key -> { fields, replace }
+let pending = new Map();
+
 // Deduplication settings
 const TTL_DAYS = limits.deduplication?.ttlDays || 7;
 const MAX_TRACKED = limits.deduplication?.maxTrackedProducts || 1000;
 const TTL_MS = TTL_DAYS * 24 * 60 * 60 * 1000;
+const REPOST = {
+    enabled: true,
+    minDropPercent: 10,
+    minDropAmount: 0,
+    ...limits.deduplication?.repostOnPriceDrop
+};
 
 /**
- * Ensure data directory exists
+ * Read a stored record (older data holds bare timestamps)
+ * @param {Object|number} value - Stored value
+ * @returns {Object} Record
  */
-function ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-        fs.mkdirSync(DATA_DIR, { recursive: true });
-    }
+function toRecord(value) {
+    return typeof value === 'number' ? { postedAt: value } : value;
 }
 
 /**
- * Load posted products from file
+ * Drop expired records and keep only the newest MAX_TRACKED
+ * @param {Object} all - key -> stored value
+ * @returns {Object} Pruned records
  */
-function loadFromFile() {
-    try {
-        ensureDataDir();
+function prune(all) {
+    const now = Date.now();
+    const entries = Object.entries(all)
+        .map(([key, value]) => [key, toRecord(value)])
+        .filter(([_, record]) => (now - record.postedAt) < TTL_MS);
 
-        if (fs.existsSync(POSTED_FILE)) {
-            const data = JSON.parse(fs.readFileSync(POSTED_FILE, 'utf8'));
-            const now = Date.now();
+    const removed = Object.keys(all).length - entries.length;
+    if (removed > 0) {
+        console.log(`[Dedupe] Cleaned up ${removed} expired entries`);
+    }
 
-            // Convert to Map and filter expired entries
-            postedProducts = new Map(
-                Object.entries(data)
-                    .filter(([_, timestamp]) => (now - timestamp) < TTL_MS)
-            );
+    // Sort by timestamp, oldest first, and keep the newest entries
+    entries.sort((a, b) => a[1].postedAt - b[1].postedAt);
+    return Object.fromEntries(entries.slice(-MAX_TRACKED));
+}
 
-            console.log(`[Dedupe] Loaded ${postedProducts.size} tracked products`);
+/**
+ * Apply buffered changes to stored records
+ * Replacements overwrite the record; other changes are merged into it
+ * (and only create it when they carry a postedAt).
+ * @param {Object} all - key -> stored value
+ * @param {Map} changes - key -> { fields, replace }
+ * @returns {Object} Updated records
+ */
+function applyChanges(all, changes) {
+    for (const [key, { fields, replace }] of changes) {
+        const record = !replace && all[key] ? toRecord(all[key]) : null;
+
+        if (record) {
+            all[key] = { ...record, ...fields };
+        } else if (fields.postedAt) {
+            all[key] = fields;
         }
-    } catch (error) {
-        console.error('[Dedupe] Failed to load posted file:', error.message);
-        postedProducts = new Map();
     }
+    return all;
 }
 
 /**
- * Save posted products to file
+ * Remember a change for the next flush
+ * @param {string} key - Tracking key
+ * @param {Object} fields - Record fields
+ * @param {boolean} replace - True to overwrite the record, false to merge into it
  */
-function saveToFile() {
-    try {
-        ensureDataDir();
-
-        // Clean up expired entries before saving
-        cleanupExpired();
-
-        // Enforce max tracked limit
-        if (postedProducts.size > MAX_TRACKED) {
-            const entries = Array.from(postedProducts.entries());
-            entries.sort((a, b) => a[1] - b[1]); // Sort by timestamp, oldest first
-
-            // Keep only the newest entries
-            postedProducts = new Map(entries.slice(-MAX_TRACKED));
-        }
+function track(key, fields, replace) {
+    const change = pending.get(key);
 
-        // Convert Map to object and save
-        const data = Object.fromEntries(postedProducts);
-        fs.writeFileSync(POSTED_FILE, JSON.stringify(data, null, 2));
-
-        console.log(`[Dedupe] Saved ${postedProducts.size} tracked products`);
-    } catch (error) {
-        console.error('[Dedupe] Failed to save posted file:', error.message);
-    }
+    pending.set(key, change && !replace
+        ? { fields: { ...change.fields, ...fields }, replace: change.replace }
+        : { fields, replace });
 }
 
 /**
- * Remove expired entries from cache
+ * Load the tracked posts from the store
+ * @returns {Promise<void>}
  */
-function cleanupExpired() {
-    const now = Date.now();
-    let removed = 0;
-
-    for (const [id, timestamp] of postedProducts.entries()) {
-        if ((now - timestamp) >= TTL_MS) {
-            postedProducts.delete(id);
-            removed++;
-        }
-    }
+async function initialize() {
+    try {
+        const data = prune(await store.get(POSTED_KEY, {}));
+        postedProducts = new Map(Object.entries(data));
+        pending = new Map();
 
-    if (removed > 0) {
-        console.log(`[Dedupe] Cleaned up ${removed} expired entries`);
+        const { nextExpiry } = getTtlReport();
+        console.log(`[Dedupe] Loaded ${postedProducts.size} tracked products` +
+            (nextExpiry ? ` (next expiry ${nextExpiry})` : ''));
+    } catch (error) {
+        console.error('[Dedupe] Load error:', error.message);
+        postedProducts = new Map();
     }
 }
 
 /**
- * Initialize the dedupe module (load from file)
+ * Check if a price beats the one a product was posted at by enough to repost
+ * @param {Object} record - Tracked post
+ * @param {number} price - Current price
+ * @returns {boolean} True if the drop reaches minDropPercent or minDropAmount
  */
-function initialize() {
-    loadFromFile();
+function isFurtherDrop(record, price) {
+    if (!REPOST.enabled || !price || !record.price) return false;
+
+    const drop = record.price - price;
+    if (drop <= 0) return false;
+
+    return (REPOST.minDropPercent > 0 && (drop / record.price) * 100 >= REPOST.minDropPercent) ||
+        (REPOST.minDropAmount > 0 && drop >= REPOST.minDropAmount);
 }
 
 /**
  * Check if a product has already been posted
  * @param {string} productId - Product ID
+ * @param {number} price - Current price (optional); a further drop since posting makes it postable again
  * @returns {boolean} True if already posted
  */
-function isPosted(productId) {
+function isPosted(productId, price = null) {
     if (!productId) return false;
 
     // Normalize ID (combine source + id for uniqueness)
     const normalizedId = String(productId).toLowerCase();
 
     if (postedProducts.has(normalizedId)) {
-        const timestamp = postedProducts.get(normalizedId);
-        const age = Date.now() - timestamp;
+        const record = postedProducts.get(normalizedId);
+        const age = Date.now() - record.postedAt;
 
         // Check if still within TTL
         if (age < TTL_MS) {
-            return true;
+            return !isFurtherDrop(record, price);
         }
 
         // Expired, remove it
@@ -140,44 +172,128 @@ function isPosted(productId) {
 }
 
 /**
- * Mark a product as posted
+ * Build the tracking key for a product
+ * Posts to the main channel keep the plain source_id key; other
+ * channels are tracked separately as source_id@channel.
  * @param {string} productId - Product ID
  * @param {string} source - Product source (flipkart/amazon)
+ * @param {string} channel - Channel key (optional)
+ * @returns {string} Tracking key
  */
-function markPosted(productId, source = '') {
-    if (!productId) return;
-
-    // Create unique key: source_id
+function buildKey(productId, source = '', channel = null) {
     const uniqueKey = source
         ? `${source.toLowerCase()}_${productId}`.toLowerCase()
         : String(productId).toLowerCase();
 
-    postedProducts.set(uniqueKey, Date.now());
+    return channel && channel !== 'main' ? `${uniqueKey}@${channel.toLowerCase()}` : uniqueKey;
+}
+
+/**
+ * Mark a product as posted
+ * @param {string} productId - Product ID
+ * @param {string} source - Product source (flipkart/amazon)
+ * @param {string} channel - Channel key it was posted in (optional)
+ * @param {Object} details - Optional { price, chatId, messageId, kind, product } of the post
+ */
+function markPosted(productId, source = '', channel = null, details = null) {
+    if (!productId) return;
+
+    const key = buildKey(productId, source, channel);
+    const record = { postedAt: Date.now(), ...details };
+
+    postedProducts.set(key, record);
+    track(key, record, true);
+}
+
+/**
+ * Mark a product shown inside another post (comparison partner, variant)
+ * An earlier post of its own in the channel keeps its message and
+ * snapshot, so lib/expiry can still edit it; only the price and time
+ * are updated.
+ * @param {string} productId - Product ID
+ * @param {string} source - Product source (flipkart/amazon)
+ * @param {string} channel - Channel key it was shown in (optional)
+ * @param {number} price - Price it was shown at
+ * @param {boolean} keepPrice - Keep the price of an earlier record (only set it on new ones)
+ */
+function markListed(productId, source = '', channel = null, price = null, keepPrice = false) {
+    if (!productId) return;
+
+    const key = buildKey(productId, source, channel);
+    const record = postedProducts.get(key);
+
+    if (!record || (Date.now() - record.postedAt) >= TTL_MS) {
+        markPosted(productId, source, channel, { price });
+        return;
+    }
+
+    const changes = { postedAt: Date.now(), price: keepPrice && record.price ? record.price : price };
+    postedProducts.set(key, { ...record, ...changes });
+    track(key, changes, false);
+}
+
+/**
+ * Get the price a product was last posted at in a channel
+ * @param {string} productId - Product ID
+ * @param {string} source - Product source
+ * @param {string} channel - Channel key (optional)
+ * @returns {number|null} Posted price, or null if not tracked or unknown
+ */
+function getPostedPrice(productId, source = '', channel = null) {
+    const record = postedProducts.get(buildKey(productId, source, channel));
+    return record && (Date.now() - record.postedAt) < TTL_MS ? record.price || null : null;
+}
+
+/**
+ * Get posts that have a Telegram message to edit
+ * @returns {Array} [{ key, ...record }] newest first
+ */
+function getPostedMessages() {
+    return Array.from(postedProducts.entries())
+        .filter(([_, record]) => record.messageId && record.product)
+        .map(([key, record]) => ({ key, ...record }))
+        .sort((a, b) => b.postedAt - a.postedAt);
+}
+
+/**
+ * Update fields of a tracked post (e.g. status after a re-check)
+ * @param {string} key - Tracking key from getPostedMessages
+ * @param {Object} changes - Fields to merge into the record
+ */
+function updateRecord(key, changes) {
+    const record = postedProducts.get(key);
+    if (record) {
+        postedProducts.set(key, { ...record, ...changes });
+        track(key, changes, false);
+    }
 }
 
 /**
  * Check if product is posted using combined key
  * @param {string} productId - Product ID
  * @param {string} source - Product source
+ * @param {string} channel - Channel key (optional)
+ * @param {number} price - Current price (optional, allows reposts on a further drop)
  * @returns {boolean} True if already posted
  */
-function isDuplicate(productId, source = '') {
-    const uniqueKey = source
-        ? `${source.toLowerCase()}_${productId}`.toLowerCase()
-        : String(productId).toLowerCase();
-
-    return isPosted(uniqueKey);
+function isDuplicate(productId, source = '', channel = null, price = null) {
+    return isPosted(buildKey(productId, source, channel), price);
 }
 
 /**
  * Filter out duplicate products from a list
+ * With a channel resolver, a product is kept while any of its
+ * channels has not had it yet (or had it at a price since beaten).
  * @param {Array} products - List of products
+ * @param {Function} getChannelKeys - Optional (product) => channel keys
  * @returns {Array} Filtered list without duplicates
  */
-function filterDuplicates(products) {
+function filterDuplicates(products, getChannelKeys = null) {
     return products.filter(product => {
         if (!product?.id) return false;
-        return !isDuplicate(product.id, product.source);
+        if (!getChannelKeys) return !isDuplicate(product.id, product.source, null, product.price);
+
+        return getChannelKeys(product).some(channel => !isDuplicate(product.id, product.source, channel, product.price));
     });
 }
 
@@ -189,29 +305,81 @@ function getTrackedCount() {
     return postedProducts.size;
 }
 
+/**
+ * Summarize tracked products by posting day in the business timezone
+ * @returns {Object} { ttlDays, tracked, byDay, oldestPost, nextExpiry }
+ */
+function getTtlReport() {
+    const byDay = {};
+    let oldest = null;
+
+    for (const { postedAt: timestamp } of postedProducts.values()) {
+        const day = time.getLocalDate(timestamp);
+        byDay[day] = (byDay[day] || 0) + 1;
+
+        if (oldest === null || timestamp < oldest) {
+            oldest = timestamp;
+        }
+    }
+
+    return {
+        ttlDays: TTL_DAYS,
+        tracked: postedProducts.size,
+        byDay: byDay,
+        oldestPost: oldest !== null ? time.formatDateTime(oldest) : null,
+        nextExpiry: oldest !== null ? time.formatDateTime(oldest + TTL_MS) : null
+    };
+}
+
 /**
  * Clear all tracked products (for testing)
  */
 function clear() {
     postedProducts.clear();
+    pending.clear();
 }
 
 /**
- * Flush changes to disk
+ * Write changes made since initialize to the store
+ * On failure the changes are kept for the next flush.
+ * @returns {Promise<number>} Records written
  */
-function flush() {
-    saveToFile();
+async function flush() {
+    if (pending.size === 0) return 0;
+
+    const changes = pending;
+    pending = new Map();
+
+    try {
+        const saved = await store.update(POSTED_KEY, all => prune(applyChanges(all || {}, changes)));
+
+        // Other runs' posts are picked up; changes made while saving stay on top
+        postedProducts = new Map(Object.entries(applyChanges(saved, pending)));
+
+        console.log(`[Dedupe] Saved ${postedProducts.size} tracked products`);
+        return changes.size;
+    } catch (error) {
+        console.error('[Dedupe] Save error:', error.message);
+        changes.forEach((change, key) => {
+            if (!pending.has(key)) pending.set(key, change);
+        });
+        return 0;
+    }
 }
 
 module.exports = {
     initialize,
     isPosted,
     markPosted,
+    markListed,
+    getPostedPrice,
+    getPostedMessages,
+    updateRecord,
+    isFurtherDrop,
     isDuplicate,
     filterDuplicates,
     getTrackedCount,
-    saveToFile,
-    loadFromFile,
+    getTtlReport,
     clear,
     flush
 };
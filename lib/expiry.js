@@ -0,0 +1,340 @@
+/**
+ * Posted Deal Re-checks
+ *
+ * Re-checks recently posted deals through their providers and edits
+ * the Telegram posts in place: dead deals are marked "❌ Deal expired"
+ * (and lose their buttons), repriced ones show the current price.
+ * Comparison posts (lib/matching) check every store: one that sells out
+ * is marked sold out in the post, which only expires once all have.
+ * Post messages and product snapshots come from the dedupe records.
+ *
+ * @module lib/expiry
+ */
+
+const settings = require('../config/settings.json');
+const providers = require('./providers');
+const dedupe = require('./dedupe');
+const telegram = require('./telegram');
+const formatter = require('./formatter');
+
+// Product fields kept with each post so it can be re-checked and re-rendered
+const SNAPSHOT_FIELDS = [
+    'id', 'asin', 'marketplace', 'name', 'price', 'originalPrice', 'discount',
+    'currency', 'imageUrl', 'affiliateUrl', 'source', 'category', 'categoryKey',
+    'type', 'description', 'endTime', 'channels', 'variantLabel', 'soldOut'
+];
+
+// Lookups that must come back empty in a row before a deal counts as gone
+const MISSING_CHECKS_TO_EXPIRE = 2;
+
+/**
+ * Get re-check settings
+ * @returns {Object} { enabled, maxAgeHours, recheckMinutes, maxChecksPerRun }
+ */
+function getSettings() {
+    return {
+        enabled: true,
+        maxAgeHours: 48,
+        recheckMinutes: 180,
+        maxChecksPerRun: 20,
+        ...settings.expiry
+    };
+}
+
+/**
+ * Take the fields of a product needed to re-check and re-render its post
+ * Comparison listings and variants are kept too, so an edit shows them.
+ * @param {Object} product - Product as posted
+ * @returns {Object} Snapshot
+ */
+function snapshot(product) {
+    const result = {};
+    for (const field of SNAPSHOT_FIELDS) {
+        if (product[field] !== undefined && product[field] !== null) {
+            result[field] = product[field];
+        }
+    }
+
+    if (product.variants?.length > 0) {
+        result.variants = product.variants.map(snapshot);
+    }
+    if (product.comparison) {
+        result.comparison = product.comparison.map(snapshot);
+    }
+
+    return result;
+}
+
+/**
+ * Get the listings of a post that need a lookup
+ * @param {Object} product - Product snapshot
+ * @returns {Array} The product, or its comparison listings not yet sold out
+ */
+function getListings(product) {
+    if (product.type) return [];
+    return product.comparison ? product.comparison.filter(listing => !listing.soldOut) : [product];
+}
+
+/**
+ * Get posts due for a re-check, grouped by product
+ * The same product posted in several chats is looked up once.
+ * @param {Object} options - Re-check settings
+ * @returns {Array} [{ product, records }] newest first
+ */
+function getDuePosts(options) {
+    const now = Date.now();
+    const groups = new Map();
+
+    for (const record of dedupe.getPostedMessages()) {
+        if (record.status === 'expired') continue;
+        if (now - record.postedAt > options.maxAgeHours * 60 * 60 * 1000) continue;
+        // Posts were verified when published, so the first check waits as well
+        if (now - (record.checkedAt || record.postedAt) < options.recheckMinutes * 60 * 1000) continue;
+
+        const productKey = `${record.product.source}_${record.product.id}`;
+        if (!groups.has(productKey)) {
+            groups.set(productKey, { product: record.product, records: [] });
+        }
+        groups.get(productKey).records.push(record);
+    }
+
+    return Array.from(groups.values()).slice(0, options.maxChecksPerRun);
+}
+
+/**
+ * Look up the current state of posted products from one source
+ * Sources with a verify hook are checked in batches; others one by one.
+ * Only a confirmed sell-out expires a post straight away. Any other drop
+ * (not found, filters not met for now) counts as missing, like an empty
+ * getById, and has to repeat before the post expires.
+ * @param {string} source - Source key
+ * @param {Array} products - Product snapshots
+ * @returns {Promise<Map>} product ID -> { status: live|updated|expired|unknown, product, reason }
+ */
+async function lookupProducts(source, products) {
+    const outcomes = new Map();
+
+    if (providers.needsVerification(source)) {
+        const batchSize = providers.getVerifyBatchSize(source);
+
+        for (let i = 0; i < products.length; i += batchSize) {
+            const batch = products.slice(i, i + batchSize);
+            if (!await providers.hasBudget(source)) break;
+
+            for (const result of await providers.verifyProducts(source, batch)) {
+                const dropped = result.outOfStock ? 'expired' : 'missing';
+                const status = result.failed ? 'unknown'
+                    : result.status === 'dropped' ? dropped
+                        : result.status === 'updated' ? 'updated' : 'live';
+                outcomes.set(result.product.id, { status, product: result.product, reason: result.reason });
+            }
+        }
+
+        return outcomes;
+    }
+
+    for (const product of products) {
+        const latest = await providers.getById(source, product.id);
+
+        if (!latest) {
+            outcomes.set(product.id, { status: 'missing', product, reason: 'No longer available' });
+        } else if (!latest.inStock) {
+            outcomes.set(product.id, { status: 'expired', product, reason: 'Out of stock' });
+        } else if (latest.price !== product.price) {
+            outcomes.set(product.id, {
+                status: 'updated',
+                product: { ...product, price: latest.price, originalPrice: latest.originalPrice, discount: latest.discount },
+                reason: `Price changed from ${product.price} to ${latest.price}`
+            });
+        } else {
+            outcomes.set(product.id, { status: 'live', product, reason: 'OK' });
+        }
+    }
+
+    return outcomes;
+}
+
+/**
+ * Work out what one listing looks like now
+ * @param {Object} product - Listing snapshot
+ * @param {Map} outcomes - source -> lookup results
+ * @param {number} misses - Missing lookups in a row so far
+ * @returns {Object|null} { status, product, reason, misses } or null when not checked
+ */
+function getListingOutcome(product, outcomes, misses) {
+    const outcome = outcomes.get(product.source)?.get(product.id);
+    if (!outcome || outcome.status === 'unknown') return null;
+
+    // A failed lookup looks like a missing product; wait for a repeat
+    if (outcome.status === 'missing') {
+        return misses + 1 >= MISSING_CHECKS_TO_EXPIRE
+            ? { ...outcome, status: 'expired' }
+            : { ...outcome, status: 'live', misses: misses + 1 };
+    }
+
+    // A discount-only change leaves the post accurate
+    if (outcome.status === 'updated' && outcome.product.price === product.price) {
+        return { ...outcome, status: 'live' };
+    }
+
+    return outcome;
+}
+
+/**
+ * Work out what a comparison post looks like now
+ * Sold-out stores stay listed as sold out, the rest are re-sorted by
+ * their current price. Stores that couldn't be checked keep their price.
+ * @param {Object} product - Product snapshot with comparison
+ * @param {Map} outcomes - source -> lookup results
+ * @param {number} misses - Missing lookups in a row so far
+ * @returns {Object|null} { status, product, reason, misses } or null when not checked
+ */
+function getComparisonOutcome(product, outcomes, misses) {
+    const checks = product.comparison.map(listing => {
+        if (listing.soldOut) return { status: 'expired', product: listing, listing, soldBefore: true };
+
+        const outcome = getListingOutcome(listing, outcomes, misses);
+        return outcome ? { ...outcome, listing } : { status: 'live', product: listing, listing, unchecked: true };
+    });
+
+    if (checks.every(check => check.soldBefore || check.unchecked)) return null;
+
+    const soldOut = checks.filter(check => check.status === 'expired');
+    if (soldOut.length === checks.length) {
+        return { status: 'expired', product, reason: 'Sold out on every store' };
+    }
+
+    const changed = checks.filter(check => !check.soldBefore && check.status !== 'live');
+    if (changed.length === 0) {
+        return { status: 'live', product, misses: Math.max(0, ...checks.map(check => check.misses || 0)) };
+    }
+
+    const listings = checks.map(check => check.status === 'expired'
+        ? { ...check.product, soldOut: true }
+        : { ...check.product, variants: check.listing.variants, variantLabel: check.listing.variantLabel });
+    listings.sort((a, b) => (Boolean(a.soldOut) - Boolean(b.soldOut)) || (a.price - b.price));
+
+    const own = listings.find(listing => listing.source === product.source && listing.id === product.id) || {};
+    return {
+        status: 'updated',
+        product: { ...product, price: own.price, originalPrice: own.originalPrice, discount: own.discount, comparison: listings },
+        reason: changed.map(check => `${check.product.source}: ${check.reason}`).join('; ')
+    };
+}
+
+/**
+ * Work out what a posted deal looks like now
+ * Offers are judged by their end time; products are looked up.
+ * @param {Object} group - { product, records }
+ * @param {Map} outcomes - source -> lookup results
+ * @returns {Object|null} { status, product, reason } or null when not checked
+ */
+function getOutcome(group, outcomes) {
+    const { product } = group;
+
+    if (product.type) {
+        return product.endTime && product.endTime < Date.now()
+            ? { status: 'expired', product, reason: 'Offer ended' }
+            : { status: 'live', product, reason: 'OK' };
+    }
+
+    const misses = Math.max(...group.records.map(r => r.missingChecks || 0));
+
+    return product.comparison
+        ? getComparisonOutcome(product, outcomes, misses)
+        : getListingOutcome(product, outcomes, misses);
+}
+
+/**
+ * Edit the posts of one product to match its outcome
+ * @param {Object} group - { product, records }
+ * @param {Object} outcome - { status, product, reason, misses }
+ * @returns {Promise<number>} Messages edited
+ */
+async function applyOutcome(group, outcome) {
+    const checkedAt = Date.now();
+    let edited = 0;
+
+    for (const record of group.records) {
+        const message = { chatId: record.chatId, messageId: record.messageId, kind: record.kind };
+
+        if (outcome.status === 'live') {
+            dedupe.updateRecord(record.key, { checkedAt, missingChecks: outcome.misses || 0 });
+            continue;
+        }
+
+        const ok = outcome.status === 'expired'
+            ? await telegram.editDeal(message, formatter.formatExpiredDeal(record.product, outcome.reason))
+            : await telegram.editDeal(
+                message,
+                formatter.formatUpdatedDeal(outcome.product, record.product.price),
+                formatter.buildKeyboard(outcome.product)
+            );
+
+        if (!ok) continue;
+        edited++;
+
+        dedupe.updateRecord(record.key, {
+            checkedAt,
+            missingChecks: 0,
+            status: outcome.status === 'expired' ? 'expired' : 'live',
+            product: outcome.status === 'updated' ? snapshot(outcome.product) : record.product
+        });
+    }
+
+    return edited;
+}
+
+/**
+ * Re-check recent posts and edit the ones whose deal changed
+ * Callers flush dedupe afterwards to persist the new statuses.
+ * @returns {Promise<Object>} { checked, expired, updated, edited }
+ */
+async function recheckPosts() {
+    const options = getSettings();
+    const report = { checked: 0, expired: 0, updated: 0, edited: 0 };
+
+    if (!options.enabled) return report;
+
+    const groups = getDuePosts(options);
+    if (groups.length === 0) return report;
+
+    // One lookup pass per source (comparison posts look up every store)
+    const bySource = new Map();
+    for (const listing of groups.flatMap(group => getListings(group.product))) {
+        const source = listing.source;
+        if (!bySource.has(source)) bySource.set(source, new Map());
+        bySource.get(source).set(listing.id, listing);
+    }
+
+    const outcomes = new Map();
+    for (const [source, products] of bySource) {
+        try {
+            outcomes.set(source, await lookupProducts(source, Array.from(products.values())));
+        } catch (error) {
+            console.error(`[Expiry] ${source} re-check error:`, error.message);
+        }
+    }
+
+    for (const group of groups) {
+        const outcome = getOutcome(group, outcomes);
+        if (!outcome) continue;
+
+        report.checked++;
+        if (outcome.status === 'expired') report.expired++;
+        if (outcome.status === 'updated') report.updated++;
+
+        if (outcome.status !== 'live') {
+            console.log(`[Expiry] ${group.product.id}: ${outcome.reason}`);
+        }
+
+        report.edited += await applyOutcome(group, outcome);
+    }
+
+    return report;
+}
+
+module.exports = {
+    snapshot,
+    recheckPosts
+};
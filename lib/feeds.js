@@ -0,0 +1,381 @@
+/**
+ * Affiliate Product Feed Source
+ *
+ * Ingests product feeds (CSV / XML / JSON) published by affiliate
+ * networks, from a URL or a local path, and maps them to the standard
+ * product format using the field mapping in config/feeds.json.
+ * Each enabled feed is registered as its own product provider.
+ *
+ * @module lib/feeds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const feedConfig = require('../config/feeds.json');
+const { matchesFilters } = require('./flipkart');
+const history = require('./history');
+
+// Parsed feeds cached in memory: feedId -> { products, loadedAt }
+const feedCache = new Map();
+const DEFAULT_CACHE_MINUTES = 30;
+
+// Maximum products returned per category, same as the Flipkart feeds
+const MAX_PER_CATEGORY = 20;
+
+/**
+ * Get all configured feeds
+ * @returns {Array} Feed configs
+ */
+function getFeeds() {
+    return feedConfig.feeds || [];
+}
+
+/**
+ * Get a feed config by ID
+ * @param {string} feedId - Feed ID (also the product source key)
+ * @returns {Object|null} Feed config or null
+ */
+function getFeed(feedId) {
+    return getFeeds().find(feed => feed.id === feedId) || null;
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header row
+ * Handles quoted fields, escaped quotes and newlines inside quotes.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} Rows
+ */
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+
+    const keys = header.map(key => key.trim().replace(/^\uFEFF/, ''));
+    return records.map(values =>
+        Object.fromEntries(keys.map((key, index) => [key, (values[index] || '').trim()]))
+    );
+}
+
+/**
+ * Decode XML entities and CDATA wrappers
+ * @param {string} value - Raw XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(value) {
+    return value
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Parse repeated XML elements into flat objects of child text values
+ * Attributes of the item element are included as well (e.g. <offer id="1">).
+ * @param {string} text - XML text
+ * @param {string} itemTag - Tag name of each product element
+ * @returns {Array} Items
+ */
+function parseXml(text, itemTag = 'item') {
+    const items = [];
+    const itemPattern = new RegExp(`<${itemTag}(\\s[^>]*)?>([\\s\\S]*?)</${itemTag}>`, 'g');
+    const childPattern = /<([\w:.-]+)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/g;
+    const attrPattern = /([\w:.-]+)="([^"]*)"/g;
+
+    let match;
+    while ((match = itemPattern.exec(text)) !== null) {
+        const item = {};
+
+        for (const [, name, value] of (match[1] || '').matchAll(attrPattern)) {
+            item[name] = decodeXml(value);
+        }
+
+        for (const [, name, value] of match[2].matchAll(childPattern)) {
+            // First occurrence wins (e.g. several <picture> tags)
+            if (!(name in item)) {
+                item[name] = decodeXml(value);
+            }
+        }
+
+        items.push(item);
+    }
+
+    return items;
+}
+
+/**
+ * Read a value from an object by dot path (e.g. "pricing.sale" or "images.0")
+ * @param {Object} obj - Source object
+ * @param {string} fieldPath - Dot path
+ * @returns {*} Value or undefined
+ */
+function getPath(obj, fieldPath) {
+    if (!fieldPath) return undefined;
+    if (obj && fieldPath in obj) return obj[fieldPath];
+
+    return String(fieldPath)
+        .split('.')
+        .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+/**
+ * Parse a price that may contain currency symbols or grouping
+ * @param {*} value - Raw price ("₹1,299.00", "Rs. 1299", 1299)
+ * @returns {number} Price or 0
+ */
+function parsePrice(value) {
+    const match = /\d[\d,]*(\.\d+)?/.exec(String(value ?? ''));
+    return match ? parseFloat(match[0].replace(/,/g, '')) : 0;
+}
+
+/**
+ * Parse a stock flag from common feed values
+ * @param {*} value - Raw availability ("in stock", "true", "1", "yes")
+ * @returns {boolean} True if in stock (missing values count as in stock)
+ */
+function parseStock(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (typeof value === 'boolean') return value;
+    return /^(in[ _-]?stock|true|1|yes|available)$/i.test(String(value).trim());
+}
+
+/**
+ * Transform a feed item to standard product format
+ * @param {Object} item - Parsed feed item
+ * @param {Object} feed - Feed config
+ * @returns {Object} Standardized product object
+ */
+function transformProduct(item, feed) {
+    const fields = feed.fields || {};
+
+    const price = parsePrice(getPath(item, fields.price));
+    const originalPrice = parsePrice(getPath(item, fields.mrp)) || price;
+    const discount = originalPrice > 0
+        ? Math.round(((originalPrice - price) / originalPrice) * 100)
+        : 0;
+
+    return {
+        id: String(getPath(item, fields.id) || ''),
+        name: getPath(item, fields.title) || '',
+        price: price,
+        originalPrice: originalPrice,
+        discount: discount,
+        currency: feed.currency || 'INR',
+        inStock: parseStock(getPath(item, fields.inStock)),
+        imageUrl: getPath(item, fields.image) || '',
+        affiliateUrl: getPath(item, fields.link) || '',
+        source: feed.id,
+        category: getPath(item, fields.category) || ''
+    };
+}
+
+/**
+ * Load raw feed text from its URL or local path
+ * @param {Object} feed - Feed config
+ * @returns {Promise<string>} Feed body
+ */
+async function loadFeedText(feed) {
+    if (feed.path) {
+        const filePath = path.resolve(__dirname, '..', feed.path);
+        return fs.promises.readFile(filePath, 'utf8');
+    }
+
+    const headers = {};
+    if (feed.tokenEnv && process.env[feed.tokenEnv]) {
+        headers['Authorization'] = `Bearer ${process.env[feed.tokenEnv]}`;
+    }
+
+    const response = await fetch(feed.url, { method: 'GET', headers });
+
+    if (!response.ok) {
+        throw new Error(`Feed ${feed.id} error: ${response.status}`);
+    }
+
+    return response.text();
+}
+
+/**
+ * Fetch and parse every product in a feed
+ * Results are cached in memory for feed.cacheMinutes (default 30).
+ * @param {string} feedId - Feed ID
+ * @returns {Promise<Array>} Standardized products (unfiltered)
+ */
+async function fetchFeedProducts(feedId) {
+    const feed = getFeed(feedId);
+    if (!feed) return [];
+
+    const cached = feedCache.get(feedId);
+    const ttlMs = (feed.cacheMinutes || DEFAULT_CACHE_MINUTES) * 60 * 1000;
+    if (cached && Date.now() - cached.loadedAt < ttlMs) {
+        return cached.products;
+    }
+
+    try {
+        const text = await loadFeedText(feed);
+        let items;
+
+        switch (feed.format) {
+            case 'csv':
+                items = parseCsv(text, feed.delimiter || ',');
+                break;
+            case 'xml':
+                items = parseXml(text, feed.itemTag || 'item');
+                break;
+            case 'json': {
+                const data = JSON.parse(text);
+                items = feed.itemPath ? getPath(data, feed.itemPath) : data;
+                break;
+            }
+            default:
+                throw new Error(`Unsupported feed format: ${feed.format}`);
+        }
+
+        const products = (Array.isArray(items) ? items : [])
+            .map(item => transformProduct(item, feed));
+
+        console.log(`[Feeds] Loaded ${products.length} products from ${feed.name || feed.id}`);
+        feedCache.set(feedId, { products, loadedAt: Date.now() });
+        history.observe(products);
+        return products;
+    } catch (error) {
+        console.error(`[Feeds] Failed to load feed ${feedId}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Check if a feed category belongs to a categories.json entry
+ * Matches against the entry's feedCategories list, falling back to its name.
+ * @param {string} feedCategory - Category value from the feed
+ * @param {Object} categoryInfo - categories.json entry
+ * @returns {boolean} True if it matches
+ */
+function matchesCategory(feedCategory, categoryInfo) {
+    const value = String(feedCategory || '').toLowerCase();
+    if (!value) return false;
+
+    const names = categoryInfo.feedCategories || [categoryInfo.name];
+    return names.some(name => value.includes(String(name).toLowerCase()));
+}
+
+/**
+ * Get products for a category from a feed
+ * @param {string} feedId - Feed ID
+ * @param {Object} categoryInfo - categories.json entry
+ * @param {Object} filters - Filter options
+ * @returns {Promise<Array>} Filtered list of products
+ */
+async function getProductsByCategory(feedId, categoryInfo, filters = {}) {
+    const products = await fetchFeedProducts(feedId);
+
+    return products
+        .filter(product => matchesCategory(product.category, categoryInfo))
+        .filter(product => matchesFilters(product, filters))
+        .slice(0, MAX_PER_CATEGORY);
+}
+
+/**
+ * Search a feed by keywords (every word must appear in the title)
+ * @param {string} feedId - Feed ID
+ * @param {string} query - Search keywords
+ * @param {Object} filters - Filter options
+ * @returns {Promise<Array>} List of products
+ */
+async function searchProducts(feedId, query, filters = {}) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const products = await fetchFeedProducts(feedId);
+
+    return products
+        .filter(product => words.every(word => product.name.toLowerCase().includes(word)))
+        .filter(product => matchesFilters(product, filters))
+        .slice(0, MAX_PER_CATEGORY);
+}
+
+/**
+ * Get a product from a feed by ID
+ * @param {string} feedId - Feed ID
+ * @param {string} productId - Product ID in the feed
+ * @returns {Promise<Object|null>} Product or null
+ */
+async function getProductById(feedId, productId) {
+    const products = await fetchFeedProducts(feedId);
+    return products.find(product => product.id === String(productId)) || null;
+}
+
+/**
+ * Build a provider for one feed
+ * @param {Object} feed - Feed config
+ * @returns {Object} Provider for lib/providers
+ */
+function createProvider(feed) {
+    return {
+        name: feed.id,
+        fetchByCategory: (categoryInfo, filters) => getProductsByCategory(feed.id, categoryInfo, filters),
+        search: (query, filters) => searchProducts(feed.id, query, filters),
+        getById: id => getProductById(feed.id, id)
+    };
+}
+
+/**
+ * Clear the in-memory feed cache
+ */
+function clearCache() {
+    feedCache.clear();
+}
+
+module.exports = {
+    getFeeds,
+    getFeed,
+    parseCsv,
+    parseXml,
+    transformProduct,
+    fetchFeedProducts,
+    getProductsByCategory,
+    searchProducts,
+    getProductById,
+    createProvider,
+    clearCache
+};
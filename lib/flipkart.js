@@ -1,18 +1,38 @@
 /**
  * Flipkart Affiliate API Integration
  * 
- * Uses Flipkart Affiliate API v1.0 to fetch product feeds.
+ * Uses Flipkart Affiliate API v1.0 to fetch product feeds,
+ * plus the Deals of the Day and Offers APIs for curated deals.
  * Products include affiliate links directly in the feed.
  * 
  * @module lib/flipkart
  */
 
+const crypto = require('crypto');
 const fetch = require('node-fetch');
 const settings = require('../config/settings.json');
+const store = require('./store');
+const history = require('./history');
 
 // API base URL from settings
 const API_BASE = settings.sources.flipkart.apiBaseUrl;
 
+// Feed listing cache and pagination settings
+const FEED_CACHE_KEY = 'flipkart-feeds';
+const CURSOR_KEY = 'flipkart-cursors';
+const FEED_CACHE_TTL_MS = (settings.sources.flipkart.feedCacheTtlMinutes || 360) * 60 * 1000;
+const pagination = {
+    maxPages: 3,
+    timeBudgetMs: 8000,
+    maxProductsPerCategory: 20,
+    cursorTtlHours: 24,
+    ...settings.sources.flipkart.pagination
+};
+
+// Listings already loaded by this instance: { fetchedAt, feeds }
+// (warm serverless instances outlive a run, so the same TTL applies)
+let feedListings = null;
+
 /**
  * Create headers for Flipkart API requests
  * @returns {Object} Headers object with auth credentials
@@ -32,11 +52,48 @@ function getHeaders() {
     };
 }
 
+/**
+ * Flatten the apiListings directory into a list of feeds
+ * The API returns an object keyed by category, each with versioned
+ * variants; older responses were already a flat list.
+ * @param {Object|Array} listings - apiListings from the directory
+ * @returns {Array} Feeds with apiName, resourceName and get URL
+ */
+function flattenListings(listings) {
+    if (Array.isArray(listings)) return listings;
+
+    return Object.values(listings || {}).map(listing => {
+        const variants = Object.values(listing.availableVariants || {});
+        const variant = variants.find(v => v.primary) || variants[variants.length - 1] || {};
+
+        return {
+            apiName: listing.apiName,
+            resourceName: variant.resourceName || listing.apiName,
+            get: variant.get || listing.get
+        };
+    });
+}
+
 /**
  * Fetch available category feeds from Flipkart
+ * The directory is cached in memory and in the state store for
+ * feedCacheTtlMinutes; a stale copy is used if the API is unreachable.
+ * @param {boolean} refresh - Skip the cache
  * @returns {Promise<Array>} List of available category feeds
  */
-async function fetchCategoryFeeds() {
+async function fetchCategoryFeeds(refresh = false) {
+    const isFresh = cache => cache && Date.now() - cache.fetchedAt < FEED_CACHE_TTL_MS;
+
+    if (!refresh && isFresh(feedListings)) {
+        return feedListings.feeds;
+    }
+
+    const cached = await store.get(FEED_CACHE_KEY).catch(() => null);
+    if (!refresh && isFresh(cached)) {
+        feedListings = cached;
+        return feedListings.feeds;
+    }
+
     try {
         const response = await fetch(`${API_BASE}/api/${process.env.FLIPKART_AFFILIATE_ID}.json`, {
             method: 'GET',
@@ -48,13 +105,93 @@ async function fetchCategoryFeeds() {
         }
 
         const data = await response.json();
-        return data.apiGroups?.affiliate?.apiListings || [];
+        feedListings = { fetchedAt: Date.now(), feeds: flattenListings(data.apiGroups?.affiliate?.apiListings) };
+
+        await store.set(FEED_CACHE_KEY, feedListings)
+            .catch(error => console.error('[Flipkart] Failed to cache feeds:', error.message));
+
+        return feedListings.feeds;
     } catch (error) {
         console.error('[Flipkart] Failed to fetch category feeds:', error.message);
+
+        if (cached?.feeds) {
+            console.warn('[Flipkart] Using stale feed listing cache');
+            return cached.feeds;
+        }
         return [];
     }
 }
 
+/**
+ * Transform a Flipkart feed item to standard product format
+ * @param {Object} item - Flipkart product item
+ * @returns {Object} Standardized product object
+ */
+function transformProduct(item) {
+    const product = item.productBaseInfoV1 || item.productBaseInfo?.v1 || item;
+    const prices = product.flipkartSpecialPrice || product.flipkartSellingPrice || {};
+    const mrp = product.maximumRetailPrice || {};
+
+    const sellingPrice = prices.amount || 0;
+    const originalPrice = mrp.amount || sellingPrice;
+    const discount = originalPrice > 0
+        ? Math.round(((originalPrice - sellingPrice) / originalPrice) * 100)
+        : 0;
+
+    return {
+        id: product.productId,
+        name: product.title || product.productName,
+        price: sellingPrice,
+        originalPrice: originalPrice,
+        discount: discount,
+        currency: prices.currency || 'INR',
+        inStock: product.inStock !== false,
+        imageUrl: (product.imageUrls?.['200x200'] || product.imageUrls?.['400x400'] || ''),
+        affiliateUrl: product.productUrl, // Affiliate link from feed
+        source: 'flipkart',
+        category: product.categoryPath || ''
+    };
+}
+
+/**
+ * Check a product against filter options
+ * @param {Object} product - Standardized product
+ * @param {Object} filters - Filter options (minDiscount, inStock)
+ * @returns {boolean} True if the product passes
+ */
+function matchesFilters(product, filters = {}) {
+    if (!product.id || !product.name || !product.affiliateUrl) return false;
+    if (filters.requireInStock && !product.inStock) return false;
+    if (filters.minDiscountPercent && product.discount < filters.minDiscountPercent) return false;
+    if (filters.minPriceDrop && (product.originalPrice - product.price) < filters.minPriceDrop) return false;
+    return true;
+}
+
+/**
+ * Fetch one page of a category feed
+ * @param {string} pageUrl - Feed page URL
+ * @returns {Promise<Object>} { products, nextUrl } (products are unfiltered)
+ */
+async function fetchCategoryPage(pageUrl) {
+    const response = await fetch(pageUrl, {
+        method: 'GET',
+        headers: getHeaders()
+    });
+
+    if (!response.ok) {
+        throw new Error(`Flipkart feed error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const products = (data.products || data.productInfoList || []).map(transformProduct);
+    history.observe(products);
+
+    return {
+        products: products,
+        nextUrl: data.nextUrl || null
+    };
+}
+
 /**
  * Fetch products from a specific category feed
  * @param {string} categoryUrl - The feed URL for the category
@@ -63,60 +200,168 @@ async function fetchCategoryFeeds() {
  */
 async function fetchCategoryProducts(categoryUrl, filters = {}) {
     try {
-        const response = await fetch(categoryUrl, {
+        const { products } = await fetchCategoryPage(categoryUrl);
+
+        return products
+            .filter(product => matchesFilters(product, filters))
+            .slice(0, pagination.maxProductsPerCategory); // Limit results per category
+    } catch (error) {
+        console.error('[Flipkart] Failed to fetch products:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Walk a category feed page by page, resuming where the last run stopped
+ * Stops at maxPages, timeBudgetMs or maxProductsPerCategory. The cursor
+ * (next page, offset into it + pages scanned this pass) is kept in the
+ * state store and wraps back to the first page once the feed is
+ * exhausted. When the product cap is reached mid-page, the cursor points
+ * at the first product not taken, so the rest of the page is seen next run.
+ * @param {string} categoryId - Flipkart category ID (cursor key)
+ * @param {string} feedUrl - First page URL of the category feed
+ * @param {Object} filters - Filter options
+ * @returns {Promise<Array>} Filtered list of products
+ */
+async function crawlCategory(categoryId, feedUrl, filters = {}) {
+    const startTime = Date.now();
+    const cursors = await store.get(CURSOR_KEY, {});
+    let cursor = cursors[categoryId];
+
+    // Start over on a new feed URL or when the saved page link may have expired
+    const cursorTtlMs = pagination.cursorTtlHours * 60 * 60 * 1000;
+    if (!cursor || cursor.feedUrl !== feedUrl || Date.now() - cursor.updatedAt > cursorTtlMs) {
+        cursor = { feedUrl, nextUrl: null, offset: 0, scanned: [], pass: (cursor?.pass || 0) + 1 };
+    }
+
+    const collected = [];
+    let pageUrl = cursor.nextUrl || feedUrl;
+    let offset = cursor.nextUrl ? cursor.offset || 0 : 0;
+    let pages = 0;
+
+    while (pageUrl &&
+        pages < pagination.maxPages &&
+        collected.length < pagination.maxProductsPerCategory &&
+        Date.now() - startTime < pagination.timeBudgetMs) {
+
+        if (cursor.scanned.includes(pageUrl)) {
+            // Feed looped back on itself, treat as exhausted
+            pageUrl = null;
+            break;
+        }
+
+        let page;
+        try {
+            page = await fetchCategoryPage(pageUrl);
+        } catch (error) {
+            if (pageUrl !== feedUrl) {
+                // Saved page link is no longer valid, restart from the top
+                console.warn(`[Flipkart] Resume failed for ${categoryId}, restarting feed:`, error.message);
+                cursor = { feedUrl, nextUrl: null, offset: 0, scanned: [], pass: cursor.pass + 1 };
+                pageUrl = feedUrl;
+                offset = 0;
+                continue;
+            }
+            throw error;
+        }
+
+        pages++;
+
+        // Take products until the cap; the rest of the page waits for the next run
+        while (offset < page.products.length && collected.length < pagination.maxProductsPerCategory) {
+            const product = page.products[offset++];
+            if (matchesFilters(product, filters)) collected.push(product);
+        }
+
+        if (offset < page.products.length) break;
+
+        cursor.scanned.push(pageUrl);
+        pageUrl = page.nextUrl;
+        offset = 0;
+    }
+
+    if (!pageUrl) {
+        // End of feed: next run starts a fresh pass from the first page
+        console.log(`[Flipkart] Finished pass ${cursor.pass} of ${categoryId} (${cursor.scanned.length} pages)`);
+        cursor = { feedUrl, nextUrl: null, offset: 0, scanned: [], pass: cursor.pass + 1 };
+    } else {
+        cursor.nextUrl = pageUrl;
+        cursor.offset = offset;
+    }
+
+    cursor.updatedAt = Date.now();
+    await store.update(CURSOR_KEY, all => ({ ...all, [categoryId]: cursor }), {})
+        .catch(error => console.error('[Flipkart] Failed to save cursor:', error.message));
+
+    console.log(`[Flipkart] ${categoryId}: scanned ${pages} page(s), ${collected.length} matching products`);
+    return collected;
+}
+
+/**
+ * Get pagination progress for every crawled category
+ * @returns {Promise<Object>} Cursor state keyed by category ID
+ */
+async function getCrawlState() {
+    return store.get(CURSOR_KEY, {});
+}
+
+/**
+ * Search products by keyword
+ * @param {string} query - Search keywords
+ * @param {Object} filters - Filter options
+ * @returns {Promise<Array>} List of products
+ */
+async function searchProducts(query, filters = {}) {
+    try {
+        const params = new URLSearchParams({ query: query, resultCount: '10' });
+        const response = await fetch(`${API_BASE}/1.0/search.json?${params}`, {
             method: 'GET',
             headers: getHeaders()
         });
 
         if (!response.ok) {
-            throw new Error(`Flipkart feed error: ${response.status}`);
+            throw new Error(`Flipkart search error: ${response.status}`);
         }
 
         const data = await response.json();
-        const products = data.products || data.productInfoList || [];
+        const products = (data.products || []).map(transformProduct);
+        history.observe(products);
 
-        // Transform and filter products
-        return products
-            .map(item => {
-                const product = item.productBaseInfoV1 || item.productBaseInfo?.v1 || item;
-                const prices = product.flipkartSpecialPrice || product.flipkartSellingPrice || {};
-                const mrp = product.maximumRetailPrice || {};
-
-                const sellingPrice = prices.amount || 0;
-                const originalPrice = mrp.amount || sellingPrice;
-                const discount = originalPrice > 0
-                    ? Math.round(((originalPrice - sellingPrice) / originalPrice) * 100)
-                    : 0;
-
-                return {
-                    id: product.productId,
-                    name: product.title || product.productName,
-                    price: sellingPrice,
-                    originalPrice: originalPrice,
-                    discount: discount,
-                    currency: prices.currency || 'INR',
-                    inStock: product.inStock !== false,
-                    imageUrl: (product.imageUrls?.['200x200'] || product.imageUrls?.['400x400'] || ''),
-                    affiliateUrl: product.productUrl, // Affiliate link from feed
-                    source: 'flipkart',
-                    category: product.categoryPath || ''
-                };
-            })
-            .filter(product => {
-                // Apply filters
-                if (!product.id || !product.name || !product.affiliateUrl) return false;
-                if (filters.requireInStock && !product.inStock) return false;
-                if (filters.minDiscountPercent && product.discount < filters.minDiscountPercent) return false;
-                if (filters.minPriceDrop && (product.originalPrice - product.price) < filters.minPriceDrop) return false;
-                return true;
-            })
-            .slice(0, 20); // Limit results per category
+        return products.filter(product => matchesFilters(product, filters));
     } catch (error) {
-        console.error('[Flipkart] Failed to fetch products:', error.message);
+        console.error('[Flipkart] Search error:', error.message);
         return [];
     }
 }
 
+/**
+ * Get product details by Flipkart product ID
+ * @param {string} productId - Flipkart product ID (pid)
+ * @returns {Promise<Object|null>} Product details or null
+ */
+async function getProductById(productId) {
+    try {
+        const params = new URLSearchParams({ id: productId });
+        const response = await fetch(`${API_BASE}/1.0/product.json?${params}`, {
+            method: 'GET',
+            headers: getHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error(`Flipkart product error: ${response.status}`);
+        }
+
+        const product = transformProduct(await response.json());
+        if (!product.id) return null;
+
+        history.observe([product]);
+        return product;
+    } catch (error) {
+        console.error('[Flipkart] Product lookup error:', error.message);
+        return null;
+    }
+}
+
 /**
  * Get products for a specific category by ID
  * @param {string} categoryId - Flipkart category ID from config
@@ -139,7 +384,7 @@ async function getProductsByCategory(categoryId, filters = {}) {
             return [];
         }
 
-        return await fetchCategoryProducts(categoryFeed.get, filters);
+        return await crawlCategory(categoryId, categoryFeed.get, filters);
     } catch (error) {
         console.error('[Flipkart] getProductsByCategory error:', error.message);
         return [];
@@ -180,9 +425,138 @@ async function getBestDeals(filters = {}, limit = 10) {
     }
 }
 
+/**
+ * Pick the largest image from an offers API imageUrls list
+ * @param {Array} imageUrls - [{ url, resolutionType }]
+ * @returns {string} Image URL or empty string
+ */
+function pickOfferImage(imageUrls = []) {
+    const order = ['high', 'mid', 'default', 'low'];
+    const sorted = [...imageUrls].sort((a, b) =>
+        order.indexOf(a.resolutionType) - order.indexOf(b.resolutionType)
+    );
+    return sorted[0]?.url || '';
+}
+
+/**
+ * Transform an offers API entry into a deal object
+ * @param {Object} offer - Entry from dotdList / allOffersList
+ * @param {string} type - Deal type (dotd/offer)
+ * @returns {Object} Deal object
+ */
+function transformOffer(offer, type) {
+    const id = crypto.createHash('md5')
+        .update(`${offer.title}|${offer.url}|${offer.startTime || ''}`)
+        .digest('hex')
+        .slice(0, 16);
+
+    return {
+        id: `${type}-${id}`,
+        type: type,
+        name: offer.title || '',
+        description: offer.description || '',
+        imageUrl: pickOfferImage(offer.imageUrls),
+        startTime: offer.startTime || null,
+        endTime: offer.endTime || null,
+        availability: offer.availability || 'LIVE',
+        affiliateUrl: offer.url,
+        source: 'flipkart',
+        category: offer.category || ''
+    };
+}
+
+/**
+ * Check that a deal is live right now
+ * @param {Object} deal - Deal object
+ * @returns {boolean} True if live
+ */
+function isDealLive(deal) {
+    const now = Date.now();
+    if (!deal.name || !deal.affiliateUrl) return false;
+    if (deal.availability && deal.availability.toUpperCase() !== 'LIVE') return false;
+    if (deal.startTime && deal.startTime > now) return false;
+    if (deal.endTime && deal.endTime < now) return false;
+    return true;
+}
+
+/**
+ * Fetch entries from an offers endpoint
+ * @param {string} endpoint - Path under the API base (e.g. offers/v1/dotd/json)
+ * @param {string} listKey - Response key holding the list
+ * @param {string} type - Deal type for the normalized objects
+ * @returns {Promise<Array>} Live deals
+ */
+async function fetchOfferList(endpoint, listKey, type) {
+    try {
+        const response = await fetch(`${API_BASE}/${endpoint}`, {
+            method: 'GET',
+            headers: getHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error(`Flipkart offers error: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        return (data[listKey] || [])
+            .map(offer => transformOffer(offer, type))
+            .filter(isDealLive);
+    } catch (error) {
+        console.error(`[Flipkart] Failed to fetch ${type} offers:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Get Flipkart's Deals of the Day
+ * @returns {Promise<Array>} Live deals
+ */
+async function getDealsOfTheDay() {
+    return fetchOfferList('offers/v1/dotd/json', 'dotdList', 'dotd');
+}
+
+/**
+ * Get all live Flipkart offers
+ * @returns {Promise<Array>} Live deals
+ */
+async function getAllOffers() {
+    return fetchOfferList('offers/v1/all/json', 'allOffersList', 'offer');
+}
+
+/**
+ * Get curated deals enabled in settings.sources.flipkart.offers
+ * Deals of the Day come first, then the general offers list.
+ * @returns {Promise<Array>} Live deals
+ */
+async function getDeals() {
+    const offerSettings = settings.sources.flipkart.offers || {};
+    if (!offerSettings.enabled) return [];
+
+    const deals = [];
+    if (offerSettings.dotd !== false) {
+        deals.push(...await getDealsOfTheDay());
+    }
+    if (offerSettings.allOffers) {
+        deals.push(...await getAllOffers());
+    }
+
+    return deals;
+}
+
 module.exports = {
     fetchCategoryFeeds,
+    fetchCategoryPage,
     fetchCategoryProducts,
+    crawlCategory,
+    getCrawlState,
+    transformProduct,
+    matchesFilters,
+    searchProducts,
+    getProductById,
     getProductsByCategory,
-    getBestDeals
+    getBestDeals,
+    getDealsOfTheDay,
+    getAllOffers,
+    getDeals
 };
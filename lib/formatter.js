@@ -2,21 +2,53 @@
  * Message Formatter
  * 
  * Formats product data into Telegram-friendly messages
- * with emojis, pricing, and hashtags.
+ * with emojis, pricing, and hashtags, plus the inline keyboard
+ * (Buy / price history / share buttons) that goes with each post.
  * 
  * @module lib/formatter
  */
 
 const categories = require('../config/categories.json');
+const settings = require('../config/settings.json');
+const feedConfig = require('../config/feeds.json');
+const time = require('./time');
+const sales = require('./sales');
+const history = require('./history');
+const variants = require('./variants');
+
+// Number grouping locale per currency (INR uses lakh/crore grouping)
+const CURRENCY_LOCALES = {
+    INR: 'en-IN',
+    USD: 'en-US',
+    GBP: 'en-GB',
+    EUR: 'de-DE'
+};
 
 /**
- * Format price with Indian rupee symbol and commas
- * @param {number} price - Price in rupees
+ * Format price with currency symbol and grouping
+ * Rupee prices keep the plain "₹1,23,456" style; other currencies use
+ * their own symbol and locale, with cents only when the price has them.
+ * @param {number} price - Price in major units
+ * @param {string} currency - ISO currency code (defaults to INR)
  * @returns {string} Formatted price string
  */
-function formatPrice(price) {
-    if (!price || isNaN(price)) return '₹0';
-    return '₹' + price.toLocaleString('en-IN');
+function formatPrice(price, currency = 'INR') {
+    const amount = !price || isNaN(price) ? 0 : price;
+
+    if (!currency || currency === 'INR') {
+        return '₹' + amount.toLocaleString('en-IN');
+    }
+
+    try {
+        return new Intl.NumberFormat(CURRENCY_LOCALES[currency] || 'en-US', {
+            style: 'currency',
+            currency: currency,
+            minimumFractionDigits: Number.isInteger(amount) ? 0 : 2
+        }).format(amount);
+    } catch (error) {
+        // Unknown currency code
+        return `${currency} ${amount.toLocaleString('en-US')}`;
+    }
 }
 
 /**
@@ -56,7 +88,13 @@ function getSourceLabel(source) {
         flipkart: 'Flipkart Deal',
         amazon: 'Amazon Deal'
     };
-    return labels[source?.toLowerCase()] || 'Deal';
+    if (labels[source?.toLowerCase()]) {
+        return labels[source.toLowerCase()];
+    }
+
+    // Affiliate feeds use their configured name
+    const feed = feedConfig.feeds?.find(f => f.id === source);
+    return feed?.name ? `${feed.name} Deal` : 'Deal';
 }
 
 /**
@@ -72,6 +110,16 @@ function getCategoryHashtags(categoryKey) {
     return '#Deals #Offers';
 }
 
+/**
+ * Get hashtags for the sale running for a source
+ * @param {string} source - Product source
+ * @returns {string} Hashtags string or empty string
+ */
+function getSaleHashtags(source) {
+    const sale = sales.getActiveSale(source);
+    return sale?.hashtags ? sale.hashtags.join(' ') : '';
+}
+
 /**
  * Escape HTML special characters for Telegram
  * @param {string} text - Raw text
@@ -96,6 +144,131 @@ function truncate(text, maxLength = 100) {
     return text.substring(0, maxLength - 3) + '...';
 }
 
+/**
+ * Get the values available to button URL templates
+ * @param {Object} product - Product object
+ * @returns {Object} Placeholder values (unencoded)
+ */
+function getTemplateValues(product) {
+    return {
+        url: product.affiliateUrl,
+        id: product.id,
+        asin: product.asin || (product.source === 'amazon' ? product.id : ''),
+        name: product.name,
+        query: truncate(product.name, 60),
+        source: product.source,
+        category: product.categoryKey || ''
+    };
+}
+
+/**
+ * Fill a button URL template such as "https://t.me/share/url?url={url}"
+ * @param {string} template - URL with {placeholders}
+ * @param {Object} product - Product object
+ * @returns {string|null} URL, or null when a placeholder has no value
+ */
+function fillTemplate(template, product) {
+    const values = getTemplateValues(product);
+    let missing = false;
+
+    const url = template.replace(/\{(\w+)\}/g, (_, key) => {
+        if (!values[key]) {
+            missing = true;
+            return '';
+        }
+        return encodeURIComponent(values[key]);
+    });
+
+    return missing ? null : url;
+}
+
+/**
+ * Get the button config for a source
+ * sources.<name>.buttons overrides telegram.buttons.
+ * @param {string} source - Product source
+ * @returns {Array} [{ type: buy|share|url, text, url }]
+ */
+function getButtonConfig(source) {
+    if (settings.telegram?.inlineKeyboard === false) return [];
+    return settings.sources?.[source]?.buttons || settings.telegram?.buttons || [];
+}
+
+/**
+ * Check if a URL is usable in an inline button
+ * @param {string} url - Button URL
+ * @returns {boolean} True for http(s) and tg:// links
+ */
+function isButtonUrl(url) {
+    return /^(https?|tg):\/\//.test(url || '');
+}
+
+/**
+ * Check if a post carries a Buy button (and so no inline buy link)
+ * @param {Object} product - Product object
+ * @returns {boolean} True if the keyboard has a Buy button
+ */
+function hasBuyButton(product) {
+    return isButtonUrl(product.affiliateUrl) &&
+        getButtonConfig(product.source).some(button => button.type === 'buy');
+}
+
+/**
+ * Build the inline keyboard for a comparison post
+ * One Buy button per store still selling it, cheapest first.
+ * @param {Object} product - Product with comparison listings
+ * @returns {Object|null} Telegram reply_markup or null when there are no buttons
+ */
+function buildComparisonKeyboard(product) {
+    const rows = product.comparison
+        .filter(listing => !listing.soldOut && hasBuyButton(listing))
+        .map(listing => [{
+            text: getButtonConfig(listing.source).find(button => button.type === 'buy').text,
+            url: listing.affiliateUrl
+        }]);
+
+    return rows.length > 0 ? { inline_keyboard: rows } : null;
+}
+
+/**
+ * Build the inline keyboard for a post
+ * The Buy button gets a row of its own; extra buttons (price history,
+ * similar deals, share) share rows of telegram.buttonsPerRow.
+ * @param {Object} product - Product object
+ * @returns {Object|null} Telegram reply_markup or null when there are no buttons
+ */
+function buildKeyboard(product) {
+    if (product.comparison) return buildComparisonKeyboard(product);
+
+    const buyRow = [];
+    const extras = [];
+
+    for (const button of getButtonConfig(product.source)) {
+        let url;
+        switch (button.type) {
+            case 'buy':
+                url = product.affiliateUrl;
+                break;
+            case 'share':
+                url = fillTemplate(button.url || 'https://t.me/share/url?url={url}&text={query}', product);
+                break;
+            default:
+                url = button.url ? fillTemplate(button.url, product) : null;
+        }
+
+        if (!isButtonUrl(url)) continue;
+
+        (button.type === 'buy' ? buyRow : extras).push({ text: button.text, url });
+    }
+
+    const perRow = settings.telegram?.buttonsPerRow || 2;
+    const rows = buyRow.length > 0 ? [buyRow] : [];
+    for (let i = 0; i < extras.length; i += perRow) {
+        rows.push(extras.slice(i, i + perRow));
+    }
+
+    return rows.length > 0 ? { inline_keyboard: rows } : null;
+}
+
 /**
  * Format a product into a Telegram message
  * @param {Object} product - Product object
@@ -109,19 +282,29 @@ function formatProduct(product, categoryKey = null) {
         originalPrice,
         discount,
         affiliateUrl,
-        source
+        source,
+        currency
     } = product;
 
     const sourceEmoji = getSourceEmoji(source);
     const sourceLabel = getSourceLabel(source);
     const priceDrop = originalPrice - price;
     const discountBadge = getDiscountBadge(discount, priceDrop);
-    const hashtags = getCategoryHashtags(categoryKey);
+    const sale = sales.getActiveSale(source);
+    const hashtags = [getCategoryHashtags(categoryKey), getSaleHashtags(source)]
+        .filter(Boolean)
+        .join(' ');
     const productName = escapeHtml(truncate(name, 80));
 
     // Build message parts
     const lines = [];
 
+    // Sale event banner
+    if (sale?.badge) {
+        lines.push(`<b>${sale.badge}</b>`);
+        if (!discountBadge) lines.push('');
+    }
+
     // Header with badge if applicable
     if (discountBadge) {
         lines.push(discountBadge);
@@ -135,14 +318,95 @@ function formatProduct(product, categoryKey = null) {
 
     // Pricing section
     if (discount > 0 && originalPrice > price) {
-        lines.push(`💰 <b>${formatPrice(price)}</b> <s>${formatPrice(originalPrice)}</s>`);
-        lines.push(`🏷️ ${discount}% OFF (Save ${formatPrice(priceDrop)})`);
+        lines.push(`💰 <b>${formatPrice(price, currency)}</b> <s>${formatPrice(originalPrice, currency)}</s>`);
+        lines.push(`🏷️ ${discount}% OFF (Save ${formatPrice(priceDrop, currency)})`);
     } else {
-        lines.push(`💰 <b>${formatPrice(price)}</b>`);
+        lines.push(`💰 <b>${formatPrice(price, currency)}</b>`);
+    }
+
+    if (history.isLowestPrice(product)) {
+        lines.push(`📉 Lowest price in ${history.getSettings().lowestWindowDays} days`);
+    }
+
+    // Other colours and sizes of the same model
+    if (product.variants?.length > 0) {
+        lines.push('');
+        lines.push(`🎨 <b>Also available</b>${product.variantLabel ? ` (this one: ${escapeHtml(product.variantLabel)})` : ''}`);
+        lines.push(...formatVariants(product.variants));
+    }
+
+    // The Buy button replaces the inline link when the keyboard is on
+    if (!hasBuyButton(product)) {
+        lines.push('');
+        lines.push(`👉 <a href="${affiliateUrl}">Buy Now</a>`);
     }
 
     lines.push('');
-    lines.push(`👉 <a href="${affiliateUrl}">Buy Now</a>`);
+    lines.push(hashtags);
+
+    return lines.join('\n');
+}
+
+/**
+ * Format the list of other variants under a post
+ * @param {Array} list - Variant products (with variantLabel)
+ * @returns {Array} Lines, one per variant up to variants.maxListed
+ */
+function formatVariants(list) {
+    const { maxListed } = variants.getSettings();
+    const lines = list.slice(0, maxListed).map(variant =>
+        `• ${escapeHtml(truncate(variant.variantLabel, 40))} - <a href="${variant.affiliateUrl}">${formatPrice(variant.price, variant.currency)}</a>`
+    );
+
+    if (list.length > maxListed) {
+        lines.push(`• +${list.length - maxListed} more`);
+    }
+
+    return lines;
+}
+
+/**
+ * Format a price comparison of the same product from several stores
+ * Listings marked soldOut (by a later re-check) are shown as sold out.
+ * @param {Object} product - Product with comparison listings (cheapest first)
+ * @returns {string} Formatted HTML message
+ */
+function formatComparison(product) {
+    const [cheapest, ...others] = product.comparison.filter(listing => !listing.soldOut);
+    const hashtags = [getCategoryHashtags(product.categoryKey), getSaleHashtags(cheapest.source), '#PriceCompare']
+        .filter(Boolean)
+        .join(' ');
+
+    const lines = ['⚖️ <b>PRICE COMPARISON</b>', '', `📱 ${escapeHtml(truncate(cheapest.name, 80))}`, ''];
+
+    for (const listing of product.comparison) {
+        const label = getSourceLabel(listing.source).replace(/ Deal$/, '');
+
+        if (listing.soldOut) {
+            lines.push(`${getSourceEmoji(listing.source)} ${label}: ❌ Sold out`);
+            continue;
+        }
+
+        const price = formatPrice(listing.price, listing.currency);
+        const mrp = listing.originalPrice > listing.price ? ` <s>${formatPrice(listing.originalPrice, listing.currency)}</s>` : '';
+        const best = listing === cheapest && others.length > 0 ? ' ✅ Lowest' : '';
+        const link = hasBuyButton(listing) ? '' : ` · <a href="${listing.affiliateUrl}">Buy</a>`;
+
+        lines.push(`${getSourceEmoji(listing.source)} ${label}: <b>${price}</b>${mrp}${best}${link}`);
+    }
+
+    const saving = Math.max(cheapest.price, ...others.map(listing => listing.price)) - cheapest.price;
+    if (saving > 0) {
+        lines.push('');
+        lines.push(`💸 Save ${formatPrice(saving, cheapest.currency)} on ${getSourceLabel(cheapest.source).replace(/ Deal$/, '')}`);
+    }
+
+    for (const listing of [cheapest, ...others].filter(item => item.variants?.length > 0)) {
+        lines.push('');
+        lines.push(`🎨 <b>More on ${getSourceLabel(listing.source).replace(/ Deal$/, '')}</b>`);
+        lines.push(...formatVariants(listing.variants));
+    }
+
     lines.push('');
     lines.push(hashtags);
 
@@ -150,33 +414,130 @@ function formatProduct(product, categoryKey = null) {
 }
 
 /**
- * Format a simple deal alert (for flash sales)
- * @param {Object} product - Product object
+ * Format when a deal ends
+ * @param {number} endTime - End timestamp (ms)
+ * @returns {string} e.g. "Ends today, 23:59" or "Ends Mon, 21 Oct, 2024"
+ */
+function formatValidity(endTime) {
+    if (!endTime) return '';
+
+    const endDay = time.getLocalDate(endTime);
+    if (endDay === time.getLocalDate()) {
+        const { hour, minute } = time.getLocalParts(endTime);
+        return `Ends today, ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    }
+
+    return `Ends ${time.formatDisplayDate(endDay)}`;
+}
+
+/**
+ * Format a simple deal alert (for flash sales and Deals of the Day)
+ * Products show price and discount; offers without a price show
+ * their description and validity window instead.
+ * @param {Object} product - Product or deal object
  * @returns {string} Formatted HTML message
  */
 function formatFlashDeal(product) {
-    const { name, price, discount, affiliateUrl, source } = product;
+    const { name, price, discount, description, endTime, affiliateUrl, source, currency } = product;
     const productName = escapeHtml(truncate(name, 60));
     const sourceLabel = getSourceLabel(source);
+    const title = product.type === 'dotd' ? 'DEAL OF THE DAY' : 'FLASH DEAL';
+    const hashtags = ['#FlashDeal #LimitedTime', getSaleHashtags(source)]
+        .filter(Boolean)
+        .join(' ');
+
+    const lines = [`⚡ <b>${title}</b> ⚡`, '', productName, ''];
 
-    return `⚡ <b>FLASH DEAL</b> ⚡
+    if (price) {
+        lines.push(`💰 ${formatPrice(price, currency)} (${discount}% OFF)`);
+    } else if (description) {
+        lines.push(`🏷️ ${escapeHtml(truncate(description, 120))}`);
+    }
 
-${productName}
+    const validity = formatValidity(endTime);
+    if (validity) {
+        lines.push(`⏰ ${validity}`);
+    }
 
-💰 ${formatPrice(price)} (${discount}% OFF)
+    if (!hasBuyButton(product)) {
+        lines.push('');
+        lines.push(`🔗 <a href="${affiliateUrl}">${sourceLabel}</a>`);
+    }
 
-🔗 <a href="${affiliateUrl}">${sourceLabel}</a>
+    lines.push('');
+    lines.push(hashtags);
 
-#FlashDeal #LimitedTime`;
+    return lines.join('\n');
+}
+
+/**
+ * Format a posted deal that is no longer available
+ * Used to edit the original post in place.
+ * @param {Object} product - Product as it was posted
+ * @param {string} reason - Why the deal ended (e.g. "Out of stock")
+ * @returns {string} Formatted HTML message
+ */
+function formatExpiredDeal(product, reason = '') {
+    const { name, price, currency, source } = product;
+    const lines = ['❌ <b>Deal expired</b>'];
+
+    if (reason) {
+        lines.push(`<i>${escapeHtml(reason)}</i>`);
+    }
+
+    lines.push('');
+    lines.push(`${getSourceEmoji(source)} ${escapeHtml(truncate(name, 80))}`);
+
+    if (price) {
+        lines.push(`💰 <s>${formatPrice(price, currency)}</s>`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Format a posted deal whose price changed since posting
+ * Comparison posts show every store's current price (or sold out) instead.
+ * @param {Object} product - Product with the current price
+ * @param {number} previousPrice - Price shown in the original post
+ * @returns {string} Formatted HTML message
+ */
+function formatUpdatedDeal(product, previousPrice) {
+    if (product.comparison) {
+        return `🔄 <b>Prices updated</b>\n\n${formatComparison(product)}`;
+    }
+
+    const body = product.type
+        ? formatFlashDeal(product)
+        : formatProduct(product, product.categoryKey);
+
+    return `🔄 <b>Price updated</b> (was ${formatPrice(previousPrice, product.currency)})\n\n${body}`;
+}
+
+/**
+ * Format a repost of a deal whose price dropped again since we posted it
+ * @param {Object} product - Product with the current price
+ * @param {number} previousPrice - Price it was posted at before
+ * @returns {string} Formatted HTML message
+ */
+function formatPriceDropDeal(product, previousPrice) {
+    const body = product.type
+        ? formatFlashDeal(product)
+        : formatProduct(product, product.categoryKey);
+
+    return `📉 <b>Price dropped again</b> (was ${formatPrice(previousPrice, product.currency)} when we posted it)\n\n${body}`;
 }
 
 /**
  * Format daily summary message
- * @param {Object} stats - Posting statistics
+ * @param {Object} stats - Posting statistics (stats.date is the posting day)
  * @returns {string} Formatted summary
  */
 function formatDailySummary(stats) {
+    const day = time.formatDisplayDate(stats.date || time.getLocalDate());
+
     return `📊 <b>Daily Trendz Summary</b>
+🗓️ ${day}
 
 ✅ Posted: ${stats.posted || 0} deals
 📦 Amazon: ${stats.amazon || 0}
@@ -190,9 +551,16 @@ module.exports = {
     formatPrice,
     getDiscountBadge,
     getCategoryHashtags,
+    getSaleHashtags,
     escapeHtml,
     truncate,
     formatProduct,
     formatFlashDeal,
-    formatDailySummary
+    formatExpiredDeal,
+    formatUpdatedDeal,
+    formatPriceDropDeal,
+    formatComparison,
+    formatDailySummary,
+    hasBuyButton,
+    buildKeyboard
 };
@@ -0,0 +1,258 @@
+/**
+ * Price History
+ *
+ * Keeps a time series of the price, MRP and stock seen for every product
+ * the providers fetch (category feeds, searches, lookups, verification),
+ * keyed by source_id. Posts use it for "Lowest price in 30 days" and the
+ * team can query any product with the /history bot command.
+ *
+ * Observations are buffered in memory and written in one store update by
+ * flush(). A point is only added when the price, MRP or stock changed or
+ * the last one is older than history.sampleHours. Points older than
+ * retentionDays are dropped, each product keeps at most
+ * maxPointsPerProduct and the least recently seen products beyond
+ * maxProducts are forgotten.
+ *
+ * @module lib/history
+ */
+
+const settings = require('../config/settings.json');
+const store = require('./store');
+
+// Store key for the series: source_id -> { seenAt, currency, points: [[at, price, mrp, inStock]] }
+const HISTORY_KEY = 'price-history';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stored series (loaded by initialize) and observations not yet flushed
+let series = {};
+let pending = [];
+
+/**
+ * Get history settings
+ * @returns {Object} { enabled, retentionDays, maxPointsPerProduct, maxProducts,
+ *   sampleHours, lowestWindowDays, minHistoryDays }
+ */
+function getSettings() {
+    return {
+        enabled: true,
+        retentionDays: 90,
+        maxPointsPerProduct: 60,
+        maxProducts: 2000,
+        sampleHours: 24,
+        lowestWindowDays: 30,
+        minHistoryDays: 7,
+        ...settings.history
+    };
+}
+
+/**
+ * Build the key of a product's series
+ * @param {Object} product - Product with source and id
+ * @returns {string} source_id key
+ */
+function productKey(product) {
+    return `${product.source}_${product.id}`;
+}
+
+/**
+ * Load the stored series
+ * @returns {Promise<void>}
+ */
+async function initialize() {
+    try {
+        series = await store.get(HISTORY_KEY, {});
+    } catch (error) {
+        console.error('[History] Load error:', error.message);
+        series = {};
+    }
+}
+
+/**
+ * Record the prices of fetched products (kept in memory until flush)
+ * @param {Array} products - Products as returned by a provider
+ */
+function observe(products) {
+    if (!getSettings().enabled) return;
+
+    const at = Date.now();
+    for (const product of products || []) {
+        if (!product?.id || !product.source) continue;
+
+        const price = Number(product.price) || 0;
+        if (price <= 0 && product.inStock !== false) continue;
+
+        pending.push({
+            key: productKey(product),
+            currency: product.currency || 'INR',
+            point: [at, price || null, Number(product.originalPrice) || price || null, product.inStock === false ? 0 : 1]
+        });
+    }
+}
+
+/**
+ * Add a point to a series unless it repeats the last one
+ * @param {Object} entry - { seenAt, currency, points }
+ * @param {Array} point - [at, price, mrp, inStock]
+ */
+function addPoint(entry, point) {
+    const last = entry.points[entry.points.length - 1];
+    const sampleMs = getSettings().sampleHours * 60 * 60 * 1000;
+    const unchanged = last && last[1] === point[1] && last[2] === point[2] && last[3] === point[3];
+
+    entry.seenAt = point[0];
+    if (!unchanged || point[0] - last[0] >= sampleMs) {
+        entry.points.push(point);
+    }
+}
+
+/**
+ * Apply retention limits to all series
+ * @param {Object} all - source_id -> entry
+ * @returns {Object} Pruned series
+ */
+function prune(all) {
+    const { retentionDays, maxPointsPerProduct, maxProducts } = getSettings();
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+
+    for (const [key, entry] of Object.entries(all)) {
+        entry.points = entry.points.filter(point => point[0] >= cutoff).slice(-maxPointsPerProduct);
+        if (entry.points.length === 0) delete all[key];
+    }
+
+    const keys = Object.keys(all);
+    if (keys.length > maxProducts) {
+        keys.sort((a, b) => all[a].seenAt - all[b].seenAt)
+            .slice(0, keys.length - maxProducts)
+            .forEach(key => delete all[key]);
+    }
+
+    return all;
+}
+
+/**
+ * Merge a list of observations into series
+ * @param {Object} all - source_id -> entry
+ * @param {Array} observations - [{ key, currency, point }]
+ * @returns {Object} Updated series
+ */
+function merge(all, observations) {
+    for (const { key, currency, point } of observations) {
+        all[key] = all[key] || { seenAt: point[0], points: [] };
+        all[key].currency = currency;
+        addPoint(all[key], point);
+    }
+    return all;
+}
+
+/**
+ * Write buffered observations to the store
+ * @returns {Promise<number>} Observations written
+ */
+async function flush() {
+    if (pending.length === 0) return 0;
+
+    const observations = pending;
+    pending = [];
+
+    try {
+        series = await store.update(HISTORY_KEY, all => prune(merge(all, observations)), {});
+        console.log(`[History] Recorded ${observations.length} price observations`);
+        return observations.length;
+    } catch (error) {
+        console.error('[History] Save error:', error.message);
+        pending = observations.concat(pending);
+        return 0;
+    }
+}
+
+/**
+ * Get a product's price history, including unflushed observations
+ * @param {Object|string} product - Product (source and id) or source_id key
+ * @returns {Array} [{ at, price, mrp, inStock }] oldest first
+ */
+function getHistory(product) {
+    const key = typeof product === 'string' ? product : productKey(product);
+    const entry = { points: [...(series[key]?.points || [])] };
+
+    pending.filter(observation => observation.key === key)
+        .forEach(observation => addPoint(entry, observation.point));
+
+    return entry.points.map(([at, price, mrp, inStock]) => ({ at, price, mrp, inStock: inStock === 1 }));
+}
+
+/**
+ * Get the currency a product's prices were seen in
+ * @param {Object|string} product - Product (source and id) or source_id key
+ * @returns {string} Currency code
+ */
+function getCurrency(product) {
+    if (typeof product !== 'string' && product.currency) return product.currency;
+
+    const key = typeof product === 'string' ? product : productKey(product);
+    const observed = pending.find(observation => observation.key === key);
+    return observed?.currency || series[key]?.currency || 'INR';
+}
+
+/**
+ * Summarize a product's prices over a window
+ * @param {Object|string} product - Product (source and id) or source_id key
+ * @param {number} days - Window in days (defaults to lowestWindowDays)
+ * @returns {Object|null} { current, lowest, highest, average, currency, points, since, lastChange }
+ *   lastChange is { at, from, to } or null; null when nothing was recorded
+ */
+function getStats(product, days = getSettings().lowestWindowDays) {
+    const history = getHistory(product);
+    if (history.length === 0) return null;
+
+    const cutoff = Date.now() - days * DAY_MS;
+
+    // Out-of-stock points carry no price and are skipped
+    const priced = history.filter(point => point.price);
+    let lastChange = null;
+    for (let i = priced.length - 1; i > 0; i--) {
+        if (priced[i].price !== priced[i - 1].price) {
+            lastChange = { at: priced[i].at, from: priced[i - 1].price, to: priced[i].price };
+            break;
+        }
+    }
+
+    const recent = priced.filter(point => point.at >= cutoff);
+    const values = recent.map(point => point.price);
+    return {
+        current: history[history.length - 1].price,
+        lowest: values.length ? Math.min(...values) : null,
+        highest: values.length ? Math.max(...values) : null,
+        average: values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+        currency: getCurrency(product),
+        points: recent.length,
+        since: history[0].at,
+        lastChange: lastChange
+    };
+}
+
+/**
+ * Check if a product's price is the lowest seen in the window
+ * Needs at least minHistoryDays of history and some price movement,
+ * so a product seen for the first time (or never repriced) doesn't qualify.
+ * @param {Object} product - Product with source, id and price
+ * @param {number} days - Window in days (defaults to lowestWindowDays)
+ * @returns {boolean} True if no lower price was seen
+ */
+function isLowestPrice(product, days = getSettings().lowestWindowDays) {
+    const stats = getStats(product, days);
+    if (!stats || stats.lowest === null || !product.price) return false;
+    if (Date.now() - stats.since < getSettings().minHistoryDays * DAY_MS) return false;
+
+    return product.price <= stats.lowest && product.price < stats.highest;
+}
+
+module.exports = {
+    getSettings,
+    initialize,
+    observe,
+    flush,
+    getHistory,
+    getStats,
+    isLowestPrice
+};
@@ -0,0 +1,230 @@
+/**
+ * Affiliate Links
+ *
+ * Turns product links shared by the team into canonical, tagged
+ * affiliate links and into product objects:
+ * - Amazon: /dp/, /gp/product/ and /gp/aw/d/ URLs on any configured
+ *   marketplace, plus amzn.to / a.co short links (ASIN)
+ * - Flipkart: product pages, dl.flipkart.com deep links and fkrt.it
+ *   short links (pid)
+ *
+ * Tracking parameters (utm_*, ref, otracker...) are dropped; the tag
+ * comes from the marketplace's partnerTagEnv (AMAZON_ASSOCIATE_TAG for
+ * amazon.in) or FLIPKART_AFFILIATE_ID.
+ *
+ * @module lib/links
+ */
+
+const fetch = require('node-fetch');
+const amazon = require('./amazon');
+const flipkart = require('./flipkart');
+const providers = require('./providers');
+
+// Amazon product paths carrying the ASIN
+const ASIN_PATTERN = /\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?]|$)/i;
+
+// Hosts that only redirect to a product page
+const SHORT_LINK_HOSTS = ['amzn.to', 'amzn.in', 'amzn.eu', 'a.co', 'fkrt.it', 'fkrt.co'];
+
+// Redirects followed when expanding a short link
+const MAX_REDIRECTS = 5;
+
+// Query parameters that only track the click and never pick the product
+const TRACKING_PARAMS = [
+    /^utm_/i, /^ref_?$/i, /^tag$/i, /^linkcode$/i, /^linkid$/i, /^ascsubtag$/i, /^camp$/i,
+    /^creative(asin)?$/i, /^pf_rd_/i, /^pd_rd_/i, /^content-id$/i, /^qid$/i, /^sr$/i,
+    /^crid$/i, /^sprefix$/i, /^keywords$/i, /^dib(_tag)?$/i, /^th$/i, /^psc$/i,
+    /^affid$/i, /^affextparam\d*$/i, /^otracker\d*$/i, /^fm$/i, /^iid$/i, /^ppt$/i,
+    /^ppn$/i, /^ssid$/i, /^store$/i, /^srno$/i, /^gclid$/i, /^fbclid$/i, /^cmpid$/i
+];
+
+/**
+ * Parse a URL string
+ * @param {string} url - URL
+ * @returns {URL|null} Parsed URL or null when invalid
+ */
+function toUrl(url) {
+    try {
+        return new URL(String(url).trim());
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get a URL's host without "www."
+ * @param {URL} parsed - Parsed URL
+ * @returns {string} Host
+ */
+function getHost(parsed) {
+    return parsed.hostname.replace(/^www\./, '').toLowerCase();
+}
+
+/**
+ * Check if a URL is a known short link
+ * @param {string} url - URL
+ * @returns {boolean} True for amzn.to, fkrt.it and similar
+ */
+function isShortLink(url) {
+    const parsed = toUrl(url);
+    if (!parsed) return false;
+
+    const host = getHost(parsed);
+    return SHORT_LINK_HOSTS.includes(host) ||
+        (host === 'dl.flipkart.com' && parsed.pathname.startsWith('/s/'));
+}
+
+/**
+ * Follow a short link's redirects to the product page
+ * @param {string} url - Short link
+ * @returns {Promise<string>} Expanded URL (the input when it can't be followed)
+ */
+async function expandShortLink(url) {
+    let current = url;
+
+    try {
+        for (let hop = 0; hop < MAX_REDIRECTS && isShortLink(current); hop++) {
+            const response = await fetch(current, { method: 'GET', redirect: 'manual' });
+            const location = response.headers.get('location');
+            if (!location) break;
+
+            current = new URL(location, current).toString();
+        }
+    } catch (error) {
+        console.error('[Links] Short link error:', error.message);
+    }
+
+    return current;
+}
+
+/**
+ * Drop tracking parameters from a URL
+ * @param {string} url - URL
+ * @returns {string} URL without tracking parameters (unchanged when invalid)
+ */
+function stripTracking(url) {
+    const parsed = toUrl(url);
+    if (!parsed) return url;
+
+    for (const name of Array.from(parsed.searchParams.keys())) {
+        if (TRACKING_PARAMS.some(pattern => pattern.test(name))) {
+            parsed.searchParams.delete(name);
+        }
+    }
+
+    // Amazon also puts tracking in the path ("/ref=sr_1_1")
+    parsed.pathname = parsed.pathname.replace(/\/ref=[^/]*$/i, '');
+    parsed.hash = '';
+
+    return parsed.toString();
+}
+
+/**
+ * Work out which product a store URL points to (no network)
+ * @param {string} url - Amazon or Flipkart product URL
+ * @returns {Object|null} { source, id, asin, marketplace } for Amazon,
+ *   { source, id, pid, path } for Flipkart, or null when not recognised
+ */
+function parseUrl(url) {
+    const parsed = toUrl(url);
+    if (!parsed) return null;
+
+    const host = getHost(parsed);
+
+    if (host === 'flipkart.com' || host.endsWith('.flipkart.com')) {
+        const pid = parsed.searchParams.get('pid');
+        if (!pid) return null;
+
+        // Deep links are "/dl/<slug>/p/<item>"; keep the product page path
+        const path = parsed.pathname.replace(/^\/dl(?=\/)/, '');
+        return { source: 'flipkart', id: pid, pid, path: path.includes('/p/') ? path : null };
+    }
+
+    const marketplace = amazon.getMarketplaces()
+        .find(mp => mp.marketplace.replace(/^www\./, '').toLowerCase() === host);
+    const asin = parsed.pathname.match(ASIN_PATTERN)?.[1]?.toUpperCase();
+
+    if (marketplace && asin) {
+        return { source: 'amazon', id: amazon.buildProductId(asin, marketplace), asin, marketplace: marketplace.id };
+    }
+
+    return null;
+}
+
+/**
+ * Work out which product a URL points to, expanding short links first
+ * @param {string} url - Product URL or short link
+ * @returns {Promise<Object|null>} Same as parseUrl
+ */
+async function parseProductUrl(url) {
+    return parseUrl(isShortLink(url) ? await expandShortLink(url) : url);
+}
+
+/**
+ * Build the canonical affiliate URL for a parsed link
+ * @param {Object} target - Result of parseUrl
+ * @returns {string} Tagged product URL
+ */
+function buildAffiliateUrl(target) {
+    if (target.source === 'amazon') {
+        const marketplace = amazon.getMarketplace(target.marketplace);
+        const url = new URL(`https://${marketplace.marketplace}/dp/${target.asin}`);
+        const tag = process.env[marketplace.partnerTagEnv];
+        if (tag) url.searchParams.set('tag', tag);
+        return url.toString();
+    }
+
+    const url = new URL(`https://www.flipkart.com${target.path || '/product/p/itme'}`);
+    url.searchParams.set('pid', target.pid);
+    if (process.env.FLIPKART_AFFILIATE_ID) url.searchParams.set('affid', process.env.FLIPKART_AFFILIATE_ID);
+    return url.toString();
+}
+
+/**
+ * Convert any product link into our tagged affiliate link
+ * @param {string} url - Product URL or short link
+ * @returns {Promise<string|null>} Affiliate URL or null when not a product link
+ */
+async function toAffiliateUrl(url) {
+    const target = await parseProductUrl(url);
+    return target ? buildAffiliateUrl(target) : null;
+}
+
+/**
+ * Look up the product a parsed link points to
+ * @param {Object} target - Result of parseUrl
+ * @returns {Promise<Object|null>} Normalized product (affiliateUrl tagged) or null
+ */
+async function lookupProduct(target) {
+    const product = target.source === 'amazon'
+        ? await amazon.getProductByAsin(target.asin, target.marketplace)
+        : await flipkart.getProductById(target.pid);
+
+    const normalized = providers.normalizeProduct(product, target.source);
+    if (!normalized) return null;
+
+    // API links already carry the tag; fall back to the one we build
+    return { ...normalized, affiliateUrl: normalized.affiliateUrl || buildAffiliateUrl(target) };
+}
+
+/**
+ * Look up the product behind a link
+ * @param {string} url - Product URL or short link
+ * @returns {Promise<Object|null>} Normalized product or null
+ */
+async function resolveProduct(url) {
+    const target = await parseProductUrl(url);
+    return target ? lookupProduct(target) : null;
+}
+
+module.exports = {
+    isShortLink,
+    expandShortLink,
+    stripTracking,
+    parseUrl,
+    parseProductUrl,
+    buildAffiliateUrl,
+    toAffiliateUrl,
+    lookupProduct,
+    resolveProduct
+};
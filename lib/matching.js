@@ -0,0 +1,265 @@
+/**
+ * Cross-source Product Matching
+ *
+ * Links listings of the same product from different sources (a phone on
+ * both Flipkart and Amazon) by their titles: brand, model tokens, storage
+ * and colour. Dedupe keys are source_id, so without this the same phone
+ * could go out once per store.
+ *
+ * Matched products are used two ways:
+ * - pairListings() pairs candidates of one run so the pair goes out as a
+ *   single comparison post, cheaper store listed first
+ * - recordPost() / wasPostedToday() keep the same product from being
+ *   posted again from another source on the same (business) day
+ *
+ * @module lib/matching
+ */
+
+const settings = require('../config/settings.json');
+const store = require('./store');
+const time = require('./time');
+
+// Store key for today's posts: { date, posts: [{ key, signature }] }
+const POSTED_KEY = 'matched-posts';
+
+// Colour words (removed from the model, compared on their own)
+const COLOURS = [
+    'black', 'white', 'blue', 'red', 'green', 'silver', 'gold', 'grey', 'gray', 'purple',
+    'pink', 'yellow', 'orange', 'brown', 'beige', 'violet', 'lavender', 'mint', 'cream',
+    'graphite', 'titanium', 'midnight', 'starlight', 'navy', 'teal', 'bronze', 'copper'
+];
+
+// Title words that don't tell products apart
+const NOISE_WORDS = [
+    'with', 'and', 'the', 'for', 'of', 'in', 'new', 'latest', 'edition', 'storage', 'ram',
+    'rom', 'memory', 'internal', 'expandable', 'upto', 'up', 'to', 'smartphone', 'mobile',
+    'phone', 'dual', 'sim', '4g', '5g', 'lte', 'volte', 'unlocked', 'renewed', 'colour',
+    'color', 'inch', 'inches', 'cm'
+];
+
+// Words that make a title an accessory for a product rather than the product
+// ("Apple iPhone 15 Case" must not match "Apple iPhone 15")
+const ACCESSORY_WORDS = [
+    'case', 'cases', 'cover', 'covers', 'tempered', 'protector', 'screenguard', 'guard',
+    'skin', 'pouch', 'sleeve', 'charger', 'cable', 'adapter', 'strap', 'holder', 'mount',
+    'compatible', 'replacement'
+];
+
+// Today's posts (loaded by initialize)
+let postedToday = { date: null, posts: [] };
+
+/**
+ * Get matching settings
+ * @returns {Object} { enabled, minSimilarity, comparisonPosts }
+ */
+function getSettings() {
+    return {
+        enabled: true,
+        minSimilarity: 0.7,
+        comparisonPosts: true,
+        ...settings.matching
+    };
+}
+
+/**
+ * Build the key of a listing
+ * @param {Object} product - Product with source and id
+ * @returns {string} source_id key
+ */
+function productKey(product) {
+    return `${product.source}_${product.id}`;
+}
+
+/**
+ * Break a product title into the parts used for matching
+ * Storage is the largest GB/TB figure, so "8GB RAM, 128GB Storage" and
+ * "128 GB" agree.
+ * @param {string} title - Product title
+ * @returns {Object} { brand, model: [tokens], storage, colour, accessory }
+ */
+function parseTitle(title) {
+    let text = String(title || '').toLowerCase();
+
+    const sizes = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(gb|tb)\b/g)]
+        .map(match => Number(match[1]) * (match[2] === 'tb' ? 1024 : 1));
+    text = text.replace(/(\d+(?:\.\d+)?)\s*(gb|tb)\b/g, ' ');
+
+    const tokens = text.split(/[^a-z0-9]+/).filter(Boolean);
+    const colour = tokens.find(token => COLOURS.includes(token)) || null;
+    const words = tokens.filter(token => !COLOURS.includes(token));
+
+    return {
+        brand: words[0] || null,
+        model: [...new Set(words.slice(1).filter(token => !NOISE_WORDS.includes(token)))],
+        storage: sizes.length > 0 ? Math.max(...sizes) : null,
+        colour: colour,
+        accessory: tokens.some(token => ACCESSORY_WORDS.includes(token))
+    };
+}
+
+/**
+ * Get a listing's matching signature
+ * @param {Object} product - Product
+ * @returns {Object} parseTitle result plus currency
+ */
+function getSignature(product) {
+    return { ...parseTitle(product.name), currency: product.currency || 'INR' };
+}
+
+/**
+ * Score how alike two signatures are
+ * Brand, storage, colour and currency must agree (when both have them)
+ * and so must the tokens with digits in them (model numbers). An
+ * accessory never matches the product it fits.
+ * @param {Object} a - Signature
+ * @param {Object} b - Signature
+ * @returns {number} 0 (different) to 1 (same model tokens)
+ */
+function similarity(a, b) {
+    if (!a.brand || a.brand !== b.brand || a.currency !== b.currency) return 0;
+    if (Boolean(a.accessory) !== Boolean(b.accessory)) return 0;
+    if (a.storage && b.storage && a.storage !== b.storage) return 0;
+    if (a.colour && b.colour && a.colour !== b.colour) return 0;
+
+    const numbered = signature => signature.model.filter(token => /\d/.test(token)).sort().join(' ');
+    if (numbered(a) !== numbered(b)) return 0;
+
+    const shared = a.model.filter(token => b.model.includes(token)).length;
+    const total = new Set([...a.model, ...b.model]).size;
+    return total === 0 ? 1 : shared / total;
+}
+
+/**
+ * Check if two listings are the same product
+ * @param {Object} a - Product
+ * @param {Object} b - Product
+ * @returns {boolean} True when from different sources and similar enough
+ */
+function isSameProduct(a, b) {
+    return a.source !== b.source &&
+        similarity(getSignature(a), getSignature(b)) >= getSettings().minSimilarity;
+}
+
+/**
+ * Pair up listings of the same product from different sources
+ * Each listing is paired at most once, with its most similar match.
+ * Nothing is paired when matching.comparisonPosts is off. Curated offers
+ * and admin-approved items are left alone.
+ * @param {Array} products - Candidates
+ * @returns {Map} productKey -> partner product (both directions)
+ */
+function pairListings(products) {
+    const partners = new Map();
+    if (!getSettings().enabled || !getSettings().comparisonPosts) return partners;
+
+    const listings = products.filter(product => !product.type && !product.moderationId && product.name);
+    const signatures = new Map(listings.map(product => [product, getSignature(product)]));
+    const minSimilarity = getSettings().minSimilarity;
+
+    for (const product of listings) {
+        if (partners.has(productKey(product))) continue;
+
+        let best = null;
+        let bestScore = minSimilarity;
+
+        for (const other of listings) {
+            if (other.source === product.source || partners.has(productKey(other))) continue;
+
+            const score = similarity(signatures.get(product), signatures.get(other));
+            if (score >= bestScore) {
+                best = other;
+                bestScore = score;
+            }
+        }
+
+        if (best) {
+            partners.set(productKey(product), best);
+            partners.set(productKey(best), product);
+        }
+    }
+
+    return partners;
+}
+
+/**
+ * Combine two listings into one comparison post
+ * The post stays the product's own (source, channels, limits); the
+ * listings are shown cheapest first.
+ * @param {Object} product - Product being posted
+ * @param {Object} partner - Matching product from another source
+ * @returns {Object} Product with comparison: [cheaper, other]
+ */
+function buildComparison(product, partner) {
+    return {
+        ...product,
+        categoryKey: product.categoryKey || partner.categoryKey || null,
+        comparison: partner.price < product.price ? [partner, product] : [product, partner]
+    };
+}
+
+/**
+ * Load today's posts
+ * @returns {Promise<void>}
+ */
+async function initialize() {
+    try {
+        const record = await store.get(POSTED_KEY, { date: null, posts: [] });
+        postedToday = record.date === time.getLocalDate() ? record : { date: time.getLocalDate(), posts: [] };
+    } catch (error) {
+        console.error('[Matching] Load error:', error.message);
+        postedToday = { date: time.getLocalDate(), posts: [] };
+    }
+}
+
+/**
+ * Check if the same product went out today from another listing
+ * @param {Object} product - Product
+ * @returns {boolean} True if a matching listing was posted today
+ */
+function wasPostedToday(product) {
+    if (!getSettings().enabled || product.type || postedToday.date !== time.getLocalDate()) return false;
+
+    const key = productKey(product);
+    const signature = getSignature(product);
+    const minSimilarity = getSettings().minSimilarity;
+
+    return postedToday.posts.some(post =>
+        post.key !== key &&
+        !post.key.startsWith(`${product.source}_`) &&
+        similarity(signature, post.signature) >= minSimilarity
+    );
+}
+
+/**
+ * Remember a published post (and its comparison listings) for today
+ * @param {Object} product - Published product
+ * @returns {Promise<void>}
+ */
+async function recordPost(product) {
+    if (!getSettings().enabled || product.type) return;
+
+    const today = time.getLocalDate();
+    const posts = (product.comparison || [product])
+        .map(listing => ({ key: productKey(listing), signature: getSignature(listing) }));
+
+    try {
+        postedToday = await store.update(POSTED_KEY, record => ({
+            date: today,
+            posts: [...(record.date === today ? record.posts : []), ...posts]
+        }), { date: null, posts: [] });
+    } catch (error) {
+        console.error('[Matching] Save error:', error.message);
+    }
+}
+
+module.exports = {
+    getSettings,
+    parseTitle,
+    similarity,
+    isSameProduct,
+    pairListings,
+    buildComparison,
+    initialize,
+    wasPostedToday,
+    recordPost
+};
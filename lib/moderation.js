@@ -0,0 +1,476 @@
+/**
+ * Admin Approval Queue
+ *
+ * Optional moderation mode: instead of going straight to the channels,
+ * candidate deals are sent to a private admin chat with Approve / Reject /
+ * Edit buttons. Button presses and edit replies arrive through the bot
+ * webhook (api/webhook.js). Approved deals are published right away or by
+ * the next run (moderation.publishOnApprove); pending ones expire after
+ * moderation.pendingTtlHours.
+ *
+ * The queue lives in the state store so the run and the webhook share it.
+ *
+ * @module lib/moderation
+ */
+
+const settings = require('../config/settings.json');
+const store = require('./store');
+const time = require('./time');
+const telegram = require('./telegram');
+const formatter = require('./formatter');
+const publisher = require('./publisher');
+const scheduler = require('./scheduler');
+const providers = require('./providers');
+const controls = require('./controls');
+
+// Store key for queued items: id -> item
+const QUEUE_KEY = 'moderation-queue';
+
+// callback_data is "mod:<action>:<id>" (Telegram allows 64 bytes)
+const CALLBACK_PREFIX = 'mod';
+
+// Header shown on the review message for each status
+const STATUS_LABELS = {
+    pending: '🕵️ <b>Awaiting review</b>',
+    approved: '✅ <b>Approved</b>',
+    rejected: '🚫 <b>Rejected</b>',
+    published: '📢 <b>Published</b>',
+    dropped: '⚠️ <b>Dropped</b>',
+    expired: '⌛ <b>Expired</b>'
+};
+
+/**
+ * Get moderation settings
+ * @returns {Object} { enabled, adminChatEnv, publishOnApprove, pendingTtlHours, retentionDays }
+ */
+function getSettings() {
+    return {
+        enabled: false,
+        adminChatEnv: 'TELEGRAM_ADMIN_CHAT_ID',
+        publishOnApprove: true,
+        pendingTtlHours: 12,
+        retentionDays: 7,
+        ...settings.moderation
+    };
+}
+
+/**
+ * Get the private chat reviews are sent to
+ * @returns {string|null} Chat ID or null when not configured
+ */
+function getAdminChatId() {
+    return process.env[getSettings().adminChatEnv] || null;
+}
+
+/**
+ * Check if deals go through review before publishing
+ * @returns {boolean} True if moderation is on and an admin chat is set
+ */
+function isEnabled() {
+    return getSettings().enabled === true && Boolean(getAdminChatId());
+}
+
+/**
+ * Build the key that identifies a product in the queue
+ * @param {Object} product - Product
+ * @returns {string} source_id key
+ */
+function productKey(product) {
+    return `${product.source}_${product.id}`;
+}
+
+/**
+ * Create a short queue item ID
+ * @returns {string} ID (base 36)
+ */
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Get all queued items
+ * @returns {Promise<Object>} id -> item
+ */
+async function getQueue() {
+    return store.get(QUEUE_KEY, {});
+}
+
+/**
+ * Get a queued item
+ * @param {string} id - Item ID
+ * @returns {Promise<Object|null>} Item or null
+ */
+async function getItem(id) {
+    return (await getQueue())[id] || null;
+}
+
+/**
+ * Atomically change a queued item
+ * @param {string} id - Item ID
+ * @param {Object} changes - Fields to merge
+ * @returns {Promise<Object|null>} Updated item or null if it is gone
+ */
+async function updateItem(id, changes) {
+    const queue = await store.update(QUEUE_KEY, current => {
+        if (current[id]) {
+            current[id] = { ...current[id], ...changes, updatedAt: Date.now() };
+        }
+        return current;
+    }, {});
+
+    return queue[id] || null;
+}
+
+/**
+ * Atomically move a pending item to approved or rejected
+ * Two admins pressing at once (or Telegram retrying the callback) both
+ * see a pending item; only the first update changes it.
+ * @param {string} id - Item ID
+ * @param {string} status - approved or rejected
+ * @param {string} reviewer - Admin who decided
+ * @returns {Promise<Object|null>} Reviewed item, or null if it was no longer pending
+ */
+async function reviewItem(id, status, reviewer) {
+    let reviewed = false;
+
+    const queue = await store.update(QUEUE_KEY, current => {
+        if (current[id]?.status === 'pending') {
+            current[id] = { ...current[id], status, reviewedBy: reviewer, updatedAt: Date.now() };
+            reviewed = true;
+        }
+        return current;
+    }, {});
+
+    return reviewed ? queue[id] : null;
+}
+
+/**
+ * Check if a product is already in the queue
+ * Expired items don't count, so the deal can be offered again.
+ * @param {Object} product - Product
+ * @returns {Promise<boolean>} True if queued
+ */
+async function isQueued(product) {
+    const key = productKey(product);
+    return Object.values(await getQueue())
+        .some(item => item.productKey === key && item.status !== 'expired');
+}
+
+/**
+ * Render the review message for an item
+ * @param {Object} item - Queue item
+ * @returns {string} Formatted HTML message
+ */
+function renderReview(item) {
+    const lines = [`${STATUS_LABELS[item.status] || item.status} · #${item.id}`];
+
+    if (item.status === 'pending') {
+        lines.push(`<i>Expires ${time.formatDateTime(item.expiresAt)}</i>`);
+    }
+    if (item.status === 'published' && item.channels?.length) {
+        lines.push(`<i>Posted to ${item.channels.join(', ')}</i>`);
+    }
+    if (item.note) {
+        lines.push(`<i>${formatter.escapeHtml(item.note)}</i>`);
+    }
+
+    lines.push('');
+    lines.push(item.text || publisher.formatMessage(item.product));
+
+    return lines.join('\n');
+}
+
+/**
+ * Build the review buttons for an item
+ * @param {Object} item - Queue item
+ * @returns {Object|null} reply_markup, or null once decided
+ */
+function reviewKeyboard(item) {
+    if (item.status !== 'pending') return null;
+
+    const button = (text, action) => ({ text, callback_data: `${CALLBACK_PREFIX}:${action}:${item.id}` });
+    return {
+        inline_keyboard: [
+            [button('✅ Approve', 'approve'), button('❌ Reject', 'reject')],
+            [button('✏️ Edit', 'edit')]
+        ]
+    };
+}
+
+/**
+ * Refresh the review message after a status change
+ * @param {Object} item - Queue item
+ * @returns {Promise<boolean>} True if edited
+ */
+async function refreshReview(item) {
+    if (!item.adminMessage) return false;
+    return telegram.editDeal(item.adminMessage, renderReview(item), reviewKeyboard(item));
+}
+
+/**
+ * Send a candidate deal to the admin chat for review
+ * @param {Object} product - Product that would have been published
+ * @returns {Promise<Object|null>} Queue item or null if it could not be sent
+ */
+async function submit(product) {
+    const now = Date.now();
+    const item = {
+        id: createId(),
+        productKey: productKey(product),
+        product: product,
+        status: 'pending',
+        createdAt: now,
+        expiresAt: now + getSettings().pendingTtlHours * 60 * 60 * 1000
+    };
+
+    const { success, messages } = await telegram.postDeal(renderReview(item), product.imageUrl, {
+        chats: [{ chatId: getAdminChatId() }],
+        keyboard: reviewKeyboard(item)
+    });
+
+    if (!success) {
+        console.error(`[Moderation] Could not send ${item.productKey} for review`);
+        return null;
+    }
+
+    item.adminMessage = messages[0];
+    await store.update(QUEUE_KEY, queue => {
+        queue[item.id] = item;
+        return queue;
+    }, {});
+
+    console.log(`[Moderation] Queued ${item.productKey} as #${item.id}`);
+    return item;
+}
+
+/**
+ * Try to publish an approved item
+ * The stored copy can be pendingTtlHours old, so it goes through the
+ * posting run's checks first: admin pause, blocklist, daily limits and
+ * price and stock verification.
+ * @param {Object} item - Queue item
+ * @returns {Promise<Object>} { status: posted|skipped|dropped|failed, reason, channels }
+ */
+async function tryPublish(item) {
+    let product = item.product;
+
+    if ((await controls.filterBlocked([product])).length === 0) {
+        return { status: 'dropped', reason: 'Blocklisted' };
+    }
+
+    if (await controls.isPaused()) {
+        return { status: 'skipped', reason: 'Posting paused' };
+    }
+
+    const { allowed, reason } = await scheduler.canPost(product.source, product.categoryKey);
+    if (!allowed) {
+        return { status: 'skipped', reason };
+    }
+
+    if (providers.needsVerification(product.source)) {
+        const [check] = await providers.verifyProducts(product.source, [product], scheduler.getFilters());
+        if (check.failed) return { status: 'skipped', reason: check.reason };
+        if (check.status === 'dropped') return { status: 'dropped', reason: check.reason };
+        product = check.product;
+    }
+
+    return publisher.publish(product, { text: item.text });
+}
+
+/**
+ * Publish an approved item and record the outcome
+ * Items that can't go out now (paused, daily limits, failed post) stay
+ * approved so the next run retries them.
+ * @param {Object} item - Queue item
+ * @returns {Promise<Object>} Updated item
+ */
+async function publishItem(item) {
+    const outcome = await tryPublish(item);
+
+    if (outcome.status === 'posted') {
+        return markPublished(item.id, outcome.channels);
+    }
+
+    if (outcome.status === 'dropped') {
+        return setStatus(item.id, 'dropped', outcome.reason);
+    }
+
+    const updated = await updateItem(item.id, { note: `${outcome.reason}, retrying next run` });
+    await refreshReview(updated);
+    return updated;
+}
+
+/**
+ * Handle a review button press from the webhook
+ * @param {Object} callbackQuery - Telegram callback_query
+ * @returns {Promise<boolean>} True if the query was a moderation action
+ */
+async function handleCallback(callbackQuery) {
+    const [prefix, action, id] = String(callbackQuery.data || '').split(':');
+    if (prefix !== CALLBACK_PREFIX) return false;
+
+    // Only presses inside the admin chat count
+    if (String(callbackQuery.message?.chat?.id) !== String(getAdminChatId())) {
+        await telegram.answerCallbackQuery(callbackQuery.id, 'Not allowed');
+        return true;
+    }
+
+    const item = await getItem(id);
+    if (!item || item.status !== 'pending') {
+        await telegram.answerCallbackQuery(callbackQuery.id, 'This deal is no longer pending');
+        return true;
+    }
+
+    const reviewer = callbackQuery.from?.username || callbackQuery.from?.first_name || 'admin';
+    let updated = item;
+
+    switch (action) {
+        case 'approve':
+            updated = await reviewItem(id, 'approved', reviewer);
+            if (!updated) {
+                await telegram.answerCallbackQuery(callbackQuery.id, 'This deal is no longer pending');
+                return true;
+            }
+
+            await telegram.answerCallbackQuery(callbackQuery.id, 'Approved');
+            if (getSettings().publishOnApprove) {
+                // publishItem refreshes the review message itself
+                await publishItem(updated);
+                return true;
+            }
+            break;
+        case 'reject':
+            updated = await reviewItem(id, 'rejected', reviewer);
+            if (!updated) {
+                await telegram.answerCallbackQuery(callbackQuery.id, 'This deal is no longer pending');
+                return true;
+            }
+
+            await telegram.answerCallbackQuery(callbackQuery.id, 'Rejected');
+            break;
+        case 'edit': {
+            const prompt = await telegram.sendMessage(
+                `✏️ Reply to this message with the new text for #${id}`,
+                { chat_id: getAdminChatId(), reply_markup: { force_reply: true, selective: true } }
+            );
+            updated = await updateItem(id, { editPromptId: prompt.result.message_id });
+            await telegram.answerCallbackQuery(callbackQuery.id, 'Send the new text as a reply');
+            return true;
+        }
+        default:
+            await telegram.answerCallbackQuery(callbackQuery.id, 'Unknown action');
+            return true;
+    }
+
+    await refreshReview(updated);
+    return true;
+}
+
+/**
+ * Handle an admin's reply to an edit prompt
+ * The reply text replaces the post body; buttons are kept.
+ * @param {Object} message - Telegram message with reply_to_message
+ * @returns {Promise<boolean>} True if the reply was an edit
+ */
+async function handleReply(message) {
+    if (String(message.chat?.id) !== String(getAdminChatId())) return false;
+
+    const promptId = message.reply_to_message?.message_id;
+    const item = Object.values(await getQueue())
+        .find(entry => entry.editPromptId && entry.editPromptId === promptId);
+
+    if (!item || item.status !== 'pending' || !message.text) return false;
+
+    const updated = await updateItem(item.id, {
+        text: formatter.escapeHtml(message.text),
+        editPromptId: null
+    });
+
+    await refreshReview(updated);
+    console.log(`[Moderation] #${item.id} edited`);
+    return true;
+}
+
+/**
+ * Set an item's status
+ * @param {string} id - Item ID
+ * @param {string} status - New status
+ * @param {string} note - Optional note shown on the review message
+ * @returns {Promise<Object|null>} Updated item
+ */
+async function setStatus(id, status, note = null) {
+    const updated = await updateItem(id, { status, note });
+    if (updated) await refreshReview(updated);
+    return updated;
+}
+
+/**
+ * Record that an approved item went out
+ * @param {string} id - Item ID
+ * @param {Array} channels - Channel keys it was posted to
+ * @returns {Promise<Object|null>} Updated item
+ */
+async function markPublished(id, channels) {
+    const updated = await updateItem(id, { status: 'published', channels, publishedAt: Date.now() });
+    if (updated) await refreshReview(updated);
+    return updated;
+}
+
+/**
+ * Get approved items waiting to be published, as products
+ * Each carries moderationId (and moderationText when edited).
+ * @returns {Promise<Array>} Products, oldest approval first
+ */
+async function getApproved() {
+    return Object.values(await getQueue())
+        .filter(item => item.status === 'approved')
+        .sort((a, b) => a.updatedAt - b.updatedAt)
+        .map(item => ({ ...item.product, moderationId: item.id, moderationText: item.text || null }));
+}
+
+/**
+ * Expire stale pending items and forget old decided ones
+ * @returns {Promise<number>} Items expired
+ */
+async function expirePending() {
+    const { retentionDays } = getSettings();
+    const now = Date.now();
+    const expired = [];
+
+    await store.update(QUEUE_KEY, queue => {
+        for (const [id, item] of Object.entries(queue)) {
+            if (item.status === 'pending' && item.expiresAt <= now) {
+                item.status = 'expired';
+                item.updatedAt = now;
+                expired.push(item);
+            } else if (now - item.createdAt > retentionDays * 24 * 60 * 60 * 1000) {
+                delete queue[id];
+            }
+        }
+        return queue;
+    }, {});
+
+    for (const item of expired) {
+        await refreshReview(item);
+    }
+
+    if (expired.length > 0) {
+        console.log(`[Moderation] Expired ${expired.length} pending deals`);
+    }
+    return expired.length;
+}
+
+module.exports = {
+    getSettings,
+    getAdminChatId,
+    isEnabled,
+    isQueued,
+    submit,
+    publishItem,
+    handleCallback,
+    handleReply,
+    setStatus,
+    markPublished,
+    getApproved,
+    expirePending
+};
@@ -0,0 +1,380 @@
+/**
+ * Product Provider Registry
+ *
+ * Common interface over product sources so the run handler never
+ * calls a store's API directly. Source order and enablement come
+ * from settings.sources.<name>.enabled / priority.
+ *
+ * A provider is an object with:
+ *   name                                   - Source key (matches product.source)
+ *   fetchByCategory(categoryInfo, filters) - Products for a categories.json entry
+ *   search(query, filters)                 - Products matching keywords
+ *   getById(id)                            - Single product or null
+ *   getDeals()                             - Optional: curated deals (flash/offer posts)
+ *   verify(products, filters)              - Optional: re-check products before posting,
+ *                                            returns [{ product, status, reason, failed, outOfStock }]
+ *   verifyBatchSize                        - Optional: products per verify() call
+ *   getBudget()                            - Optional: API calls still affordable today
+ *   getQuotaReport() / resetQuotaReport()  - Optional: per-run API usage report
+ *
+ * Product results are normalized to the standard product shape.
+ *
+ * @module lib/providers
+ */
+
+const settings = require('../config/settings.json');
+const flipkart = require('./flipkart');
+const amazon = require('./amazon');
+const feeds = require('./feeds');
+
+// Registered providers by name
+const registry = new Map();
+
+// Priority used for sources without one in settings
+const DEFAULT_PRIORITY = 99;
+
+/**
+ * Register a product provider
+ * @param {Object} provider - Provider implementing the interface above
+ */
+function registerProvider(provider) {
+    const required = ['fetchByCategory', 'search', 'getById'];
+
+    if (!provider?.name) {
+        throw new Error('Provider must have a name');
+    }
+
+    for (const method of required) {
+        if (typeof provider[method] !== 'function') {
+            throw new Error(`Provider ${provider.name} is missing ${method}()`);
+        }
+    }
+
+    registry.set(provider.name, provider);
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Source key
+ * @returns {Object|null} Provider or null
+ */
+function getProvider(name) {
+    return registry.get(name) || null;
+}
+
+/**
+ * Get settings for a source
+ * @param {string} name - Source key
+ * @returns {Object} Source settings (empty if not configured)
+ */
+function getSourceSettings(name) {
+    return settings.sources?.[name] || {};
+}
+
+/**
+ * Get enabled providers ordered by priority (lowest number first)
+ * @returns {Array} Providers
+ */
+function getEnabledProviders() {
+    return Array.from(registry.values())
+        .filter(provider => getSourceSettings(provider.name).enabled !== false)
+        .sort((a, b) =>
+            (getSourceSettings(a.name).priority ?? DEFAULT_PRIORITY) -
+            (getSourceSettings(b.name).priority ?? DEFAULT_PRIORITY)
+        );
+}
+
+/**
+ * Normalize a raw product into the standard product shape
+ * @param {Object} product - Product from a provider
+ * @param {string} source - Source key (used when product.source is missing)
+ * @returns {Object|null} Normalized product or null when unusable
+ */
+function normalizeProduct(product, source) {
+    if (!product?.id) return null;
+
+    const price = Number(product.price) || 0;
+    const originalPrice = Number(product.originalPrice) || price;
+    const discount = product.discount !== undefined
+        ? Number(product.discount) || 0
+        : (originalPrice > 0 ? Math.round(((originalPrice - price) / originalPrice) * 100) : 0);
+
+    return {
+        ...product,
+        id: String(product.id),
+        name: product.name || '',
+        price: price,
+        originalPrice: originalPrice,
+        discount: discount,
+        currency: product.currency || 'INR',
+        inStock: product.inStock !== false,
+        imageUrl: product.imageUrl || '',
+        affiliateUrl: product.affiliateUrl || '',
+        source: product.source || source,
+        category: product.category || '',
+        rating: product.rating ?? null
+    };
+}
+
+/**
+ * Normalize a list of provider results
+ * @param {Array} products - Raw products
+ * @param {string} source - Source key
+ * @returns {Array} Normalized products
+ */
+function normalizeAll(products, source) {
+    return (products || [])
+        .map(product => normalizeProduct(product, source))
+        .filter(Boolean);
+}
+
+/**
+ * Fetch products for a category from one source
+ * @param {string} name - Source key
+ * @param {string} categoryKey - Category key from categories.json
+ * @param {Object} categoryInfo - Category entry
+ * @param {Object} filters - Product filters
+ * @returns {Promise<Array>} Normalized products tagged with categoryKey
+ */
+async function fetchByCategory(name, categoryKey, categoryInfo, filters = {}) {
+    const provider = getProvider(name);
+    if (!provider) return [];
+
+    const products = normalizeAll(await provider.fetchByCategory(categoryInfo, filters), name);
+    products.forEach(p => {
+        p.categoryKey = categoryKey;
+    });
+
+    return products;
+}
+
+/**
+ * Search one source by keywords
+ * @param {string} name - Source key
+ * @param {string} query - Search keywords
+ * @param {Object} filters - Product filters
+ * @returns {Promise<Array>} Normalized products
+ */
+async function search(name, query, filters = {}) {
+    const provider = getProvider(name);
+    if (!provider) return [];
+
+    return normalizeAll(await provider.search(query, filters), name);
+}
+
+/**
+ * Look up a single product on one source
+ * @param {string} name - Source key
+ * @param {string} id - Source product ID
+ * @returns {Promise<Object|null>} Normalized product or null
+ */
+async function getById(name, id) {
+    const provider = getProvider(name);
+    if (!provider) return null;
+
+    return normalizeProduct(await provider.getById(id), name);
+}
+
+/**
+ * Collect curated deals from enabled providers that offer them
+ * Each source contributes at most settings.sources.<name>.offers.maxPerRun
+ * deals that pass the optional filter (e.g. not already posted).
+ * @param {Function} filter - Predicate applied before the per-source cap
+ * @returns {Promise<Array>} Deals tagged with the "offers" category key
+ */
+async function fetchDeals(filter = () => true) {
+    const deals = [];
+
+    for (const provider of getEnabledProviders()) {
+        if (typeof provider.getDeals !== 'function') continue;
+
+        try {
+            const maxPerRun = getSourceSettings(provider.name).offers?.maxPerRun ?? 1;
+            const providerDeals = (await provider.getDeals())
+                .map(deal => ({
+                    ...deal,
+                    source: deal.source || provider.name,
+                    categoryKey: 'offers'
+                }))
+                .filter(filter)
+                .slice(0, maxPerRun);
+
+            deals.push(...providerDeals);
+        } catch (error) {
+            console.error(`[Providers] ${provider.name} deals error:`, error.message);
+        }
+    }
+
+    return deals;
+}
+
+/**
+ * Check if a source re-verifies products before posting
+ * @param {string} name - Source key
+ * @returns {boolean} True if verification is available and enabled
+ */
+function needsVerification(name) {
+    const provider = getProvider(name);
+    return typeof provider?.verify === 'function' &&
+        getSourceSettings(name).verification?.enabled !== false;
+}
+
+/**
+ * Get how many products a source verifies per call
+ * @param {string} name - Source key
+ * @returns {number} Batch size
+ */
+function getVerifyBatchSize(name) {
+    return getProvider(name)?.verifyBatchSize || 10;
+}
+
+/**
+ * Re-check products right before posting
+ * Sources without verification pass everything through unchanged.
+ * @param {string} name - Source key
+ * @param {Array} products - Products from this source
+ * @param {Object} filters - Product filters
+ * @returns {Promise<Array>} [{ product, status: ok|updated|dropped, reason, failed, outOfStock }]
+ */
+async function verifyProducts(name, products, filters = {}) {
+    if (!needsVerification(name) || products.length === 0) {
+        return products.map(product => ({ product, status: 'ok', reason: 'OK' }));
+    }
+
+    const results = await getProvider(name).verify(products, filters);
+
+    return results.map(result => ({
+        ...result,
+        product: result.status === 'dropped'
+            ? result.product
+            : { ...normalizeProduct(result.product, name), categoryKey: result.product.categoryKey }
+    }));
+}
+
+/**
+ * Check if a source can afford more API calls today
+ * @param {string} name - Source key
+ * @param {number} calls - Calls needed
+ * @returns {Promise<boolean>} True if within budget (or the source has no budget)
+ */
+async function hasBudget(name, calls = 1) {
+    const provider = getProvider(name);
+    if (typeof provider?.getBudget !== 'function') return true;
+
+    return (await provider.getBudget()) >= calls;
+}
+
+/**
+ * Start fresh per-run quota reports for all providers
+ */
+function resetQuotaReports() {
+    for (const provider of registry.values()) {
+        if (typeof provider.resetQuotaReport === 'function') {
+            provider.resetQuotaReport();
+        }
+    }
+}
+
+/**
+ * Collect per-run quota reports from providers that track API usage
+ * @returns {Promise<Object>} Reports keyed by source
+ */
+async function getQuotaReports() {
+    const reports = {};
+
+    for (const provider of registry.values()) {
+        if (typeof provider.getQuotaReport === 'function') {
+            reports[provider.name] = await provider.getQuotaReport()
+                .catch(error => ({ error: error.message }));
+        }
+    }
+
+    return reports;
+}
+
+// Built-in providers
+
+registerProvider({
+    name: 'flipkart',
+    fetchByCategory: (categoryInfo, filters) => categoryInfo.flipkartId
+        ? flipkart.getProductsByCategory(categoryInfo.flipkartId, filters)
+        : Promise.resolve([]),
+    search: (query, filters) => flipkart.searchProducts(query, filters),
+    getById: id => flipkart.getProductById(id),
+    getDeals: () => flipkart.getDeals()
+});
+
+/**
+ * Get Amazon requests still affordable today on a marketplace
+ * Keeps a few requests back for pre-publish verification.
+ * @param {string} marketplaceId - Marketplace ID
+ * @returns {Promise<number>} Remaining requests
+ */
+async function getAmazonBudget(marketplaceId) {
+    return (await amazon.getRemainingRequests(marketplaceId)) -
+        (getSourceSettings('amazon').quota?.reservedForVerification || 0);
+}
+
+/**
+ * Run an Amazon lookup on every enabled marketplace that has budget left
+ * @param {Function} lookup - (marketplace) => Promise<Array>
+ * @returns {Promise<Array>} Combined products
+ */
+async function eachAmazonMarketplace(lookup) {
+    const products = [];
+
+    for (const marketplace of amazon.getEnabledMarketplaces()) {
+        if (await getAmazonBudget(marketplace.id) < 1) continue;
+        products.push(...await lookup(marketplace));
+    }
+
+    return products;
+}
+
+registerProvider({
+    name: 'amazon',
+    fetchByCategory: (categoryInfo, filters) => eachAmazonMarketplace(marketplace => {
+        const nodeId = amazon.getBrowseNode(categoryInfo, marketplace);
+        return nodeId
+            ? amazon.getProductsByCategory(nodeId, categoryInfo.name, filters, marketplace.id)
+            : Promise.resolve([]);
+    }),
+    search: (query, filters) => eachAmazonMarketplace(marketplace =>
+        amazon.searchProducts(query, null, filters, marketplace.id)
+    ),
+    getById: id => amazon.getProductByAsin(id),
+    verify: (products, filters) => amazon.verifyProducts(products, filters),
+    verifyBatchSize: amazon.GET_ITEMS_BATCH_SIZE,
+    // Best budget across marketplaces; exhausted ones are skipped per lookup
+    getBudget: async () => {
+        const budgets = await Promise.all(
+            amazon.getEnabledMarketplaces().map(marketplace => getAmazonBudget(marketplace.id))
+        );
+        return budgets.length > 0 ? Math.max(...budgets) : 0;
+    },
+    getQuotaReport: () => amazon.getQuotaReport(),
+    resetQuotaReport: () => amazon.resetQuotaReport()
+});
+
+// Affiliate network feeds (config/feeds.json), one provider per enabled feed
+feeds.getFeeds()
+    .filter(feed => feed.enabled !== false)
+    .forEach(feed => registerProvider(feeds.createProvider(feed)));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getEnabledProviders,
+    getSourceSettings,
+    normalizeProduct,
+    fetchByCategory,
+    search,
+    getById,
+    fetchDeals,
+    needsVerification,
+    getVerifyBatchSize,
+    verifyProducts,
+    hasBudget,
+    resetQuotaReports,
+    getQuotaReports
+};
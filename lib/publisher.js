@@ -0,0 +1,185 @@
+/**
+ * Deal Publisher
+ *
+ * Publishes one product to its Telegram channels: picks the chats that
+ * still need it, resolves forum topics, formats the post and records it
+ * (with the price it went out at) in dedupe and the daily counters.
+ * A product posted again because its price dropped further goes out
+ * with the "Price dropped again" template. Comparison posts (the same
+ * product from two stores, see lib/matching) and posts listing other
+ * variants (lib/variants) are recorded for every listing they show.
+ * Shared by the posting run and the admin webhook (approved deals).
+ *
+ * @module lib/publisher
+ */
+
+const telegram = require('./telegram');
+const formatter = require('./formatter');
+const dedupe = require('./dedupe');
+const scheduler = require('./scheduler');
+const channels = require('./channels');
+const expiry = require('./expiry');
+const matching = require('./matching');
+
+/**
+ * Get the chats a product still needs to go to
+ * Drops chats that already had it (unless its price has dropped further
+ * since) or reached their daily limit.
+ * @param {Object} product - Product
+ * @returns {Promise<Array>} [{ key, chatId, forum }]
+ */
+async function getOpenDestinations(product) {
+    const open = [];
+
+    for (const destination of channels.getDestinations(product)) {
+        if (dedupe.isDuplicate(product.id, product.source, destination.key, product.price)) continue;
+
+        const { allowed, reason } = await scheduler.canPostToChannel(destination.key);
+        if (!allowed) {
+            console.log(`[Publish] ${reason}`);
+            continue;
+        }
+
+        open.push(destination);
+    }
+
+    return open;
+}
+
+/**
+ * Turn destinations into chats to post in, with forum topics resolved
+ * @param {Array} destinations - [{ key, chatId, forum }]
+ * @param {Object} product - Product (its category picks the topic)
+ * @returns {Promise<Array>} [{ chatId, threadId }]
+ */
+async function resolveChats(destinations, product) {
+    const topic = channels.getTopic(product);
+    const chats = [];
+
+    for (const destination of destinations) {
+        chats.push({
+            chatId: destination.chatId,
+            threadId: destination.forum ? await telegram.getTopicThreadId(destination.chatId, topic) : null
+        });
+    }
+
+    return chats;
+}
+
+/**
+ * Get the lowest price a product was already posted at in these chats
+ * @param {Object} product - Product
+ * @param {Array} destinations - [{ key }]
+ * @returns {number|null} Earlier posted price, or null when this is its first post
+ */
+function getPreviousPrice(product, destinations) {
+    const prices = destinations
+        .map(d => dedupe.getPostedPrice(product.id, product.source, d.key))
+        .filter(Boolean);
+
+    return prices.length > 0 ? Math.min(...prices) : null;
+}
+
+/**
+ * Format the post for a product (curated deals use the flash deal template)
+ * @param {Object} product - Product
+ * @param {number} previousPrice - Price it was posted at before (reposts only)
+ * @returns {string} Formatted HTML message
+ */
+function formatMessage(product, previousPrice = null) {
+    if (product.comparison) {
+        return formatter.formatComparison(product);
+    }
+
+    if (previousPrice) {
+        return formatter.formatPriceDropDeal(product, previousPrice);
+    }
+
+    return product.type
+        ? formatter.formatFlashDeal(product)
+        : formatter.formatProduct(product, product.categoryKey);
+}
+
+/**
+ * Get the listings a post shows besides the product itself
+ * @param {Object} product - Product (maybe with comparison and variants)
+ * @returns {Object} { partners: comparison partners, variants: the variants of every store }
+ */
+function getListedProducts(product) {
+    const partners = (product.comparison || []).filter(listing => listing.source !== product.source);
+    return {
+        partners,
+        variants: [product, ...partners].flatMap(listing => listing.variants || [])
+    };
+}
+
+/**
+ * Publish a product to its channels
+ * @param {Object} product - Product (already verified)
+ * @param {Object} options - { destinations, text, ignoreDailyLimits }
+ *   destinations skips the lookup when the caller already has them;
+ *   text replaces the formatted post (e.g. edited by an admin);
+ *   ignoreDailyLimits posts over the daily source/category limits (the
+ *   post is still counted)
+ * @returns {Promise<Object>} { status: posted|skipped|failed, channels: [key], reason, repost }
+ */
+async function publish(product, options = {}) {
+    // Given destinations were picked before verification may have changed the price
+    const destinations = (options.destinations || await getOpenDestinations(product))
+        .filter(d => !dedupe.isDuplicate(product.id, product.source, d.key, product.price));
+    if (destinations.length === 0) {
+        return { status: 'skipped', channels: [], reason: 'Duplicate or channel limit' };
+    }
+
+    const previousPrice = getPreviousPrice(product, destinations);
+    const text = options.text || formatMessage(product, previousPrice);
+    const chats = await resolveChats(destinations, product);
+
+    // Daily limits are checked and the slot taken in one step (canPost is only a hint)
+    const reservation = await scheduler.reservePost(product.source, product.categoryKey, options.ignoreDailyLimits);
+    if (!reservation.allowed) {
+        return { status: 'skipped', channels: [], reason: reservation.reason };
+    }
+
+    const { success, delivered, messages } = await telegram.postDeal(text, product.imageUrl, {
+        chats: chats,
+        keyboard: formatter.buildKeyboard(product)
+    });
+
+    if (!success) {
+        await scheduler.releasePost(product.source, product.categoryKey);
+        return { status: 'failed', channels: [], reason: `Failed to post: ${product.id}` };
+    }
+
+    const reached = destinations.filter(d => delivered.includes(d.chatId));
+    const postedTo = reached.map(d => d.key);
+
+    // Mark as posted in each chat it reached, keeping the message for later edits
+    reached.forEach(d => dedupe.markPosted(product.id, product.source, d.key, {
+        price: product.price,
+        ...messages[delivered.indexOf(d.chatId)],
+        product: expiry.snapshot(product)
+    }));
+
+    // The other stores and variants shown in the post count as posted too;
+    // a variant posted on its own before keeps that price for repost checks
+    const listed = getListedProducts(product);
+    reached.forEach(d => {
+        listed.partners.forEach(listing => dedupe.markListed(listing.id, listing.source, d.key, listing.price));
+        listed.variants.forEach(listing => dedupe.markListed(listing.id, listing.source, d.key, listing.price, true));
+    });
+
+    await scheduler.incrementChannels(postedTo);
+    await matching.recordPost(product);
+
+    console.log(`[Publish] ${previousPrice ? 'Reposted' : 'Posted'} ${product.name.substring(0, 50)}... to ${postedTo.join(', ')}` +
+        (previousPrice ? ` (was ${previousPrice})` : ''));
+    return { status: 'posted', channels: postedTo, reason: 'OK', repost: Boolean(previousPrice) };
+}
+
+module.exports = {
+    getOpenDestinations,
+    resolveChats,
+    formatMessage,
+    publish
+};
@@ -0,0 +1,445 @@
+/**
+ * Scheduled Post Queue
+ *
+ * Deals added by hand (CLI, /queue bot command, POST /api/queue) wait
+ * here with a publishAt time and a priority. Every run drains the due
+ * items before its normal discovery, highest priority first.
+ *
+ * Queued items go through the same checks as discovered deals: quiet
+ * hours, the run's session plan (post count and source mix), daily limits
+ * (scheduler.canPost), per-chat dedupe and channel limits, pre-publish
+ * verification and the fake-discount check (lib/authenticity). Items held
+ * back by a limit stay queued for the next run; ones already posted (from
+ * any store) or no longer available are dropped.
+ *
+ * Runs can overlap (a cron run and a manual drain), so a run claims each
+ * item (status publishing) in one store update before posting it and only
+ * posts the items it claimed. Claims left by a run that died are released
+ * after CLAIM_TIMEOUT_MS.
+ *
+ * @module lib/queue
+ */
+
+const settings = require('../config/settings.json');
+const categories = require('../config/categories.json');
+const store = require('./store');
+const time = require('./time');
+const telegram = require('./telegram');
+const dedupe = require('./dedupe');
+const scheduler = require('./scheduler');
+const channels = require('./channels');
+const providers = require('./providers');
+const publisher = require('./publisher');
+const controls = require('./controls');
+const links = require('./links');
+const authenticity = require('./authenticity');
+const matching = require('./matching');
+
+// Store key for queued items: id -> item
+const QUEUE_KEY = 'post-queue';
+
+// Claims older than this belong to a run that never finished
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Get queue settings
+ * @returns {Object} { enabled, maxPerRun, maxAttempts, retentionDays }
+ */
+function getSettings() {
+    return {
+        enabled: true,
+        maxPerRun: 5,
+        maxAttempts: 3,
+        retentionDays: 7,
+        ...settings.queue
+    };
+}
+
+/**
+ * Create an error for a request that can't be queued as given
+ * (callers answer these as bad input, not as a server failure)
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_QUEUE_ITEM
+ */
+function invalidItem(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUEUE_ITEM';
+    return error;
+}
+
+/**
+ * Create a short queue item ID
+ * @returns {string} ID (base 36)
+ */
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Get all queue items
+ * @returns {Promise<Object>} id -> item
+ */
+async function getQueue() {
+    return store.get(QUEUE_KEY, {});
+}
+
+/**
+ * Atomically change a queue item
+ * @param {string} id - Item ID
+ * @param {Object} changes - Fields to merge
+ * @returns {Promise<Object|null>} Updated item or null if it is gone
+ */
+async function updateItem(id, changes) {
+    const queue = await store.update(QUEUE_KEY, current => {
+        if (current[id]) {
+            current[id] = { ...current[id], ...changes, updatedAt: Date.now() };
+        }
+        return current;
+    }, {});
+
+    return queue[id] || null;
+}
+
+/**
+ * Claim a waiting item for this run
+ * @param {string} id - Item ID
+ * @returns {Promise<Object|null>} Claimed item, or null if another run has it (or it is gone)
+ */
+async function claimItem(id) {
+    let claimed = false;
+
+    const queue = await store.update(QUEUE_KEY, current => {
+        if (current[id]?.status === 'queued') {
+            current[id] = { ...current[id], status: 'publishing', claimedAt: Date.now(), updatedAt: Date.now() };
+            claimed = true;
+        }
+        return current;
+    }, {});
+
+    return claimed ? queue[id] : null;
+}
+
+/**
+ * Add a product to the queue
+ * @param {Object} product - Normalized product
+ * @param {Object} options - { publishAt, priority, text, addedBy, origin }
+ *   publishAt is a timestamp or anything time.parseLocalDateTime accepts
+ *   (defaults to now); higher priority goes first
+ * @returns {Promise<Object>} Queued item
+ * @throws {Error} INVALID_QUEUE_ITEM when publishAt can't be read
+ */
+async function enqueue(product, options = {}) {
+    const publishAt = options.publishAt !== undefined && options.publishAt !== null
+        ? time.parseLocalDateTime(options.publishAt)
+        : Date.now();
+
+    if (publishAt === null) {
+        throw invalidItem(`Invalid publish time: ${options.publishAt}`);
+    }
+
+    const now = Date.now();
+    const item = {
+        id: createId(),
+        product: product,
+        publishAt: publishAt,
+        priority: Number(options.priority) || 0,
+        text: options.text || null,
+        status: 'queued',
+        attempts: 0,
+        addedBy: options.addedBy || null,
+        origin: options.origin || null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await store.update(QUEUE_KEY, queue => {
+        queue[item.id] = item;
+        return queue;
+    }, {});
+
+    console.log(`[Queue] Added ${product.source}_${product.id} as #${item.id} for ${time.formatDateTime(publishAt)}`);
+    return item;
+}
+
+/**
+ * Look up the product behind a link and add it to the queue
+ * @param {string} url - Amazon or Flipkart product URL (short links work)
+ * @param {Object} options - enqueue options plus category (categories.json key)
+ * @returns {Promise<Object>} Queued item
+ * @throws {Error} INVALID_QUEUE_ITEM when the category is unknown or the product can't be found
+ */
+async function enqueueUrl(url, options = {}) {
+    const { category, ...queueOptions } = options;
+
+    if (category && !categories[category]) {
+        throw invalidItem(`Unknown category: ${category}`);
+    }
+
+    const product = await links.resolveProduct(url);
+    if (!product) {
+        throw invalidItem(`No product found for ${url}`);
+    }
+
+    return enqueue({ ...product, categoryKey: category || null }, queueOptions);
+}
+
+/**
+ * Remove a waiting item
+ * @param {string} id - Item ID
+ * @returns {Promise<boolean>} True if it was queued
+ */
+async function cancel(id) {
+    let removed = false;
+
+    await store.update(QUEUE_KEY, queue => {
+        if (queue[id]?.status === 'queued') {
+            delete queue[id];
+            removed = true;
+        }
+        return queue;
+    }, {});
+
+    return removed;
+}
+
+/**
+ * Sort items in drain order: priority, then publish time
+ * @param {Object} a - Item
+ * @param {Object} b - Item
+ * @returns {number} Sort order
+ */
+function byDrainOrder(a, b) {
+    return (b.priority - a.priority) || (a.publishAt - b.publishAt);
+}
+
+/**
+ * Get items still waiting to go out
+ * @returns {Promise<Array>} Items in drain order
+ */
+async function getPending() {
+    return Object.values(await getQueue())
+        .filter(item => item.status === 'queued')
+        .sort(byDrainOrder);
+}
+
+/**
+ * Get waiting items whose publish time has come
+ * @param {number} now - Timestamp (defaults to now)
+ * @returns {Promise<Array>} Items in drain order
+ */
+async function getDue(now = Date.now()) {
+    return (await getPending()).filter(item => item.publishAt <= now);
+}
+
+/**
+ * Forget posted and dropped items past the retention period
+ * and put items claimed by a run that died back in the queue
+ * @returns {Promise<void>}
+ */
+async function prune() {
+    const now = Date.now();
+    const cutoff = now - getSettings().retentionDays * 24 * 60 * 60 * 1000;
+
+    await store.update(QUEUE_KEY, queue => {
+        for (const [id, item] of Object.entries(queue)) {
+            if (item.status === 'publishing') {
+                if (now - item.claimedAt >= CLAIM_TIMEOUT_MS) {
+                    queue[id] = { ...item, status: 'queued', note: 'Claim expired', updatedAt: now };
+                }
+            } else if (item.status !== 'queued' && item.updatedAt < cutoff) {
+                delete queue[id];
+            }
+        }
+        return queue;
+    }, {});
+}
+
+/**
+ * Check whether the session plan has room for another queued post
+ * @param {Object} product - Queued product
+ * @param {Object|null} plan - Session plan (null when the run is off-slot)
+ * @param {Object} report - Drain report so far (posted, and posts per source)
+ * @returns {string|null} Reason it has to wait, or null if it can go out
+ */
+function getSessionHold(product, plan, report) {
+    if (!plan?.allowed) return null;
+
+    if (report.posted >= plan.posts) {
+        return 'Session post limit reached';
+    }
+
+    const share = plan.sourceMix?.[product.source];
+    if (share !== undefined && (report[product.source] || 0) >= share) {
+        return `${product.source} share for ${plan.slot} slot used`;
+    }
+
+    return null;
+}
+
+/**
+ * Turn a failed attempt into a result
+ * Failures are retried up to maxAttempts times.
+ * @param {Object} item - Queue item
+ * @param {string} reason - Why the attempt failed
+ * @returns {Object} failed, or waiting with failedAttempt
+ */
+function failAttempt(item, reason) {
+    return item.attempts + 1 >= getSettings().maxAttempts
+        ? { status: 'failed', reason }
+        : { status: 'waiting', reason, failedAttempt: true };
+}
+
+/**
+ * Try to publish one due item
+ * @param {Object} item - Queue item
+ * @param {Object} blocklist - Blocklisted product IDs
+ * @returns {Promise<Object>} { status: posted|waiting|dropped|failed, reason, channels, failedAttempt }
+ */
+async function drainItem(item, blocklist) {
+    let product = item.product;
+
+    if (blocklist[product.id]) {
+        return { status: 'dropped', reason: 'Blocklisted' };
+    }
+
+    const destinations = channels.getDestinations(product);
+    if (destinations.every(d => dedupe.isDuplicate(product.id, product.source, d.key, product.price))) {
+        return { status: 'dropped', reason: 'Already posted' };
+    }
+
+    if (matching.wasPostedToday(product)) {
+        return { status: 'dropped', reason: 'Already posted today from another store' };
+    }
+
+    const { allowed, reason } = await scheduler.canPost(product.source, product.categoryKey);
+    if (!allowed) {
+        return { status: 'waiting', reason };
+    }
+
+    // Queued prices may be hours old
+    if (providers.needsVerification(product.source)) {
+        const [check] = await providers.verifyProducts(product.source, [product]);
+        if (check.failed) return { status: 'waiting', reason: check.reason };
+        if (check.status === 'dropped') return { status: 'dropped', reason: check.reason };
+        product = check.product;
+    }
+
+    const verdict = authenticity.check(product);
+    if (verdict.status === 'fake') {
+        if (authenticity.dropsFakes()) {
+            return { status: 'dropped', reason: `Fake discount: ${verdict.reason}` };
+        }
+        console.log(`[Queue] Suspicious discount ${product.id}: ${verdict.reason}`);
+    }
+
+    const outcome = await publisher.publish(product, { text: item.text });
+
+    if (outcome.status === 'posted') {
+        return { status: 'posted', reason: 'OK', channels: outcome.channels };
+    }
+
+    // Every chat was either posted already or at its daily limit
+    if (outcome.status === 'skipped') {
+        return { status: 'waiting', reason: outcome.reason };
+    }
+
+    return failAttempt(item, outcome.reason);
+}
+
+/**
+ * Publish the queue items that are due
+ * Nothing goes out during quiet hours. Within a time slot the posts count
+ * against the slot's plan: the report's posted and per-source counts are
+ * what the run's discovery has to leave room for.
+ * Items are claimed one at a time; ones another run claimed are left to it.
+ * Callers initialize dedupe, counters and matching first and flush dedupe after.
+ * @param {Object|null} plan - Session plan from scheduler.getSessionPlan
+ * @returns {Promise<Object>} { due, posted, waiting, dropped, failed, [source]: posted }
+ */
+async function drain(plan = null) {
+    const report = { due: 0, posted: 0, waiting: 0, dropped: 0, failed: 0 };
+    const options = getSettings();
+
+    if (!options.enabled) return report;
+
+    const due = await getDue();
+    report.due = due.length;
+    if (due.length === 0) return report;
+
+    if (scheduler.isQuietHours()) {
+        console.log(`[Queue] Quiet hours, ${due.length} due items wait`);
+        report.waiting = due.length;
+        return report;
+    }
+
+    const blocklist = await controls.getBlocklist();
+
+    for (const entry of due.slice(0, options.maxPerRun)) {
+        let item = entry;
+        let claimed = false;
+        let result;
+
+        try {
+            const hold = getSessionHold(item.product, plan, report);
+
+            if (hold) {
+                result = { status: 'waiting', reason: hold };
+            } else {
+                const claim = await claimItem(item.id);
+                if (!claim) {
+                    console.log(`[Queue] #${item.id} taken by another run`);
+                    continue;
+                }
+
+                item = claim;
+                claimed = true;
+                result = await drainItem(item, blocklist);
+            }
+        } catch (error) {
+            console.error(`[Queue] #${item.id} error:`, error.message);
+            result = failAttempt(item, error.message);
+        }
+
+        report[result.status]++;
+        console.log(`[Queue] #${item.id} ${result.status}: ${result.reason}`);
+
+        if (result.status === 'waiting') {
+            // Release the claim so the next run can try again
+            await updateItem(item.id, {
+                ...(claimed ? { status: 'queued', claimedAt: null } : {}),
+                attempts: item.attempts + (result.failedAttempt ? 1 : 0),
+                note: result.reason
+            });
+            continue;
+        }
+
+        await updateItem(item.id, {
+            status: result.status,
+            note: result.reason,
+            channels: result.channels || [],
+            postedAt: result.status === 'posted' ? Date.now() : null
+        });
+
+        if (result.status === 'posted') {
+            const source = item.product.source;
+            report[source] = (report[source] || 0) + 1;
+            await telegram.postDelay();
+        }
+    }
+
+    // Due items beyond maxPerRun wait for the next run
+    report.waiting += Math.max(0, due.length - options.maxPerRun);
+
+    await prune();
+    return report;
+}
+
+module.exports = {
+    getSettings,
+    enqueue,
+    enqueueUrl,
+    cancel,
+    getPending,
+    getDue,
+    drain
+};
@@ -0,0 +1,150 @@
+/**
+ * Sale Event Calendar
+ *
+ * Switches the scheduler and formatter into sale behaviour while a
+ * named event from config/sales.json is running (Big Billion Days,
+ * Great Indian Festival, Prime Day...). Sale mode can also be forced
+ * on or off for a run.
+ *
+ * Event windows use the business timezone. A date-only start covers
+ * the whole day from 00:00, a date-only end runs to 23:59.
+ *
+ * @module lib/sales
+ */
+
+const saleConfig = require('../config/sales.json');
+const time = require('./time');
+
+// Manual override for this invocation: true, false or null (follow calendar)
+let forcedMode = null;
+
+/**
+ * Parse the SALE_MODE env variable as a manual override
+ * @returns {boolean|null} Override or null when unset
+ */
+function getEnvOverride() {
+    const value = process.env.SALE_MODE?.toLowerCase();
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return null;
+}
+
+/**
+ * Force sale mode on or off for this invocation
+ * @param {boolean|null} enabled - true/false to force, null to follow the calendar
+ */
+function forceSaleMode(enabled) {
+    forcedMode = typeof enabled === 'boolean' ? enabled : null;
+}
+
+/**
+ * Get the active manual override
+ * @returns {boolean|null} Override or null when following the calendar
+ */
+function getForcedMode() {
+    return forcedMode !== null ? forcedMode : getEnvOverride();
+}
+
+/**
+ * Get a sortable local timestamp ("YYYY-MM-DDTHH:MM")
+ * @param {Date} date - Moment to convert
+ * @returns {string} Local timestamp
+ */
+function getLocalStamp(date) {
+    const { hour, minute } = time.getLocalParts(date);
+    return `${time.getLocalDate(date)}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Check if an event is running at a moment
+ * @param {Object} event - Event config
+ * @param {string} stamp - Local timestamp
+ * @returns {boolean} True if running
+ */
+function isRunning(event, stamp) {
+    if (!event.start || !event.end) return false;
+
+    const start = event.start.includes('T') ? event.start : `${event.start}T00:00`;
+    const end = event.end.includes('T') ? event.end : `${event.end}T23:59`;
+
+    return stamp >= start && stamp <= end;
+}
+
+/**
+ * Check if an event applies to a product source
+ * @param {Object} event - Event config
+ * @param {string} source - Product source
+ * @returns {boolean} True if the event covers the source
+ */
+function appliesTo(event, source) {
+    return !source || !event.sources?.length || event.sources.includes(source);
+}
+
+/**
+ * Get calendar events running at a moment
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {Array} Running events
+ */
+function getActiveEvents(date = new Date()) {
+    const stamp = getLocalStamp(date);
+    return (saleConfig.events || []).filter(event => isRunning(event, stamp));
+}
+
+/**
+ * Get the sale that applies right now, optionally for one source
+ * @param {string} source - Product source (optional)
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {Object|null} Event config or null when not in sale mode
+ */
+function getActiveSale(source = null, date = new Date()) {
+    const forced = getForcedMode();
+    if (forced === false) return null;
+
+    const event = getActiveEvents(date).find(e => appliesTo(e, source));
+    if (event) return event;
+
+    return forced ? saleConfig.manual : null;
+}
+
+/**
+ * Check if any sale is active
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {boolean} True if sale mode is on
+ */
+function isSaleActive(date = new Date()) {
+    return getActiveSale(null, date) !== null;
+}
+
+/**
+ * Get daily limits contributed by running sales
+ * When events overlap, the highest limit for each key wins.
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {Object} Limit overrides (total, per source, perCategory)
+ */
+function getSaleLimits(date = new Date()) {
+    const forced = getForcedMode();
+    if (forced === false) return {};
+
+    const events = getActiveEvents(date);
+    if (forced && events.length === 0) {
+        events.push(saleConfig.manual);
+    }
+
+    const merged = {};
+    for (const event of events) {
+        for (const [key, value] of Object.entries(event.limits || {})) {
+            merged[key] = Math.max(merged[key] || 0, value);
+        }
+    }
+
+    return merged;
+}
+
+module.exports = {
+    forceSaleMode,
+    getForcedMode,
+    getActiveEvents,
+    getActiveSale,
+    isSaleActive,
+    getSaleLimits
+};
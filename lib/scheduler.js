@@ -3,47 +3,85 @@
  * 
  * Manages category rotation, posting caps, and time slot validation.
  * Config-driven approach for all limits and settings.
+ * Daily counters live in the state store so caps hold across invocations.
  * 
  * @module lib/scheduler
  */
 
 const categories = require('../config/categories.json');
 const limits = require('../config/limits.json');
+const store = require('./store');
+const time = require('./time');
+const sales = require('./sales');
+const providers = require('./providers');
+const channels = require('./channels');
 
-// Daily posting counters (reset on each run for serverless)
-// In production, consider persisting these to a file or KV store
-let dailyCounters = {
-    flipkart: 0,
-    amazon: 0,
-    total: 0,
-    byCategory: {},
-    date: null
-};
+// Store key for the daily posting counters
+const COUNTERS_KEY = 'counters';
 
 /**
- * Initialize or reset daily counters
- * @param {boolean} force - Force reset even if same day
+ * Build an empty counters object
+ * @param {string|null} date - Posting day (YYYY-MM-DD)
+ * @returns {Object} Fresh counters
  */
-function initCounters(force = false) {
-    const today = new Date().toISOString().split('T')[0];
+function emptyCounters(date = null) {
+    return {
+        flipkart: 0,
+        amazon: 0,
+        total: 0,
+        byCategory: {},
+        byChannel: {},
+        date: date
+    };
+}
 
-    if (force || dailyCounters.date !== today) {
-        dailyCounters = {
-            flipkart: 0,
-            amazon: 0,
-            total: 0,
-            byCategory: {},
-            date: today
-        };
+/**
+ * Get the current posting day in the business timezone
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+function getToday() {
+    return time.getLocalDate();
+}
+
+/**
+ * Roll counters over to a fresh day if they belong to a previous one
+ * @param {Object|null} counters - Stored counters
+ * @returns {Object} Counters for today
+ */
+function rollover(counters) {
+    const today = getToday();
+    if (!counters || counters.date !== today) {
+        return emptyCounters(today);
     }
+    return counters;
+}
+
+/**
+ * Load today's counters from the state store
+ * @returns {Promise<Object>} Current counters
+ */
+async function loadCounters() {
+    return rollover(await store.get(COUNTERS_KEY));
+}
+
+/**
+ * Initialize or reset daily counters
+ * @param {boolean} force - Force reset even if same day
+ * @returns {Promise<Object>} Current counters
+ */
+async function initCounters(force = false) {
+    return store.update(COUNTERS_KEY, counters =>
+        force ? emptyCounters(getToday()) : rollover(counters)
+    );
 }
 
 /**
  * Check if sale mode is enabled
+ * Follows the sale calendar unless forced on/off for this run.
  * @returns {boolean} True if sale mode is active
  */
 function isSaleMode() {
-    return process.env.SALE_MODE?.toLowerCase() === 'true';
+    return sales.isSaleActive();
 }
 
 /**
@@ -56,39 +94,55 @@ function getTotalLimit() {
         return parseInt(process.env.OVERRIDE_TOTAL_LIMIT, 10);
     }
 
-    // Sale mode has higher limit
+    // Sale mode has higher limit (event limit, else the generic sale cap)
     if (isSaleMode()) {
-        return limits.dailyLimits.saleMode;
+        return sales.getSaleLimits().total || limits.dailyLimits.saleMode;
     }
 
     return limits.dailyLimits.total;
 }
 
 /**
- * Check if we can post more (under daily limits)
- * @param {string} source - Product source (flipkart/amazon)
+ * Get the daily limit for a source, raised by any running sale
+ * @param {string} source - Product source
+ * @returns {number} Maximum posts allowed today for the source
+ */
+function getSourceLimit(source) {
+    return sales.getSaleLimits()[source] || limits.dailyLimits[source] || 10;
+}
+
+/**
+ * Get the daily limit per category, raised by any running sale
+ * @returns {number} Maximum posts allowed today per category
+ */
+function getCategoryLimit() {
+    return sales.getSaleLimits().perCategory || limits.dailyLimits.perCategory || 4;
+}
+
+/**
+ * Check counters against the daily limits
+ * @param {Object} counters - Today's counters
+ * @param {string} source - Product source
  * @param {string} categoryKey - Category key
  * @returns {Object} { allowed: boolean, reason: string }
  */
-function canPost(source, categoryKey) {
-    initCounters();
-
+function checkLimits(counters, source, categoryKey) {
     const totalLimit = getTotalLimit();
-    const sourceLimit = limits.dailyLimits[source] || 10;
-    const categoryLimit = limits.dailyLimits.perCategory || 4;
+    const sourceLimit = getSourceLimit(source);
+    const categoryLimit = getCategoryLimit();
 
     // Check total limit
-    if (dailyCounters.total >= totalLimit) {
+    if (counters.total >= totalLimit) {
         return { allowed: false, reason: 'Daily total limit reached' };
     }
 
     // Check source limit
-    if (dailyCounters[source] >= sourceLimit) {
+    if ((counters[source] || 0) >= sourceLimit) {
         return { allowed: false, reason: `Daily ${source} limit reached` };
     }
 
     // Check category limit
-    const categoryCount = dailyCounters.byCategory[categoryKey] || 0;
+    const categoryCount = counters.byCategory[categoryKey] || 0;
     if (categoryCount >= categoryLimit) {
         return { allowed: false, reason: `Category ${categoryKey} limit reached` };
     }
@@ -97,40 +151,133 @@ function canPost(source, categoryKey) {
 }
 
 /**
- * Increment counters after successful post
+ * Check if we can post more (under daily limits)
+ * Only a hint for picking candidates: publishing takes its slot with
+ * reservePost, which re-checks atomically.
+ * @param {string} source - Product source (flipkart/amazon)
+ * @param {string} categoryKey - Category key
+ * @returns {Promise<Object>} { allowed: boolean, reason: string }
+ */
+async function canPost(source, categoryKey) {
+    return checkLimits(await loadCounters(), source, categoryKey);
+}
+
+/**
+ * Add to the total, source and category counters
+ * @param {Object} counters - Today's counters (changed in place)
+ * @param {string} source - Product source
+ * @param {string} categoryKey - Category key
+ * @param {number} delta - 1 to count a post, -1 to give it back
+ */
+function countPost(counters, source, categoryKey, delta) {
+    counters.total = Math.max(0, counters.total + delta);
+    counters[source] = Math.max(0, (counters[source] || 0) + delta);
+    if (categoryKey) {
+        counters.byCategory[categoryKey] = Math.max(0, (counters.byCategory[categoryKey] || 0) + delta);
+    }
+}
+
+/**
+ * Check the daily limits and take a post slot in one atomic update
+ * Overlapping runs (cron, manual dispatch, webhook approvals) can't both
+ * pass the check for the last slot. Give the slot back with releasePost
+ * when the post doesn't go out.
  * @param {string} source - Product source
  * @param {string} categoryKey - Category key
+ * @param {boolean} force - Count the post even over a limit (admin /post)
+ * @returns {Promise<Object>} { allowed: boolean, reason: string }
  */
-function incrementCounters(source, categoryKey) {
-    initCounters();
+async function reservePost(source, categoryKey, force = false) {
+    let verdict = null;
+
+    await store.update(COUNTERS_KEY, stored => {
+        const counters = rollover(stored);
+
+        verdict = checkLimits(counters, source, categoryKey);
+        if (verdict.allowed || force) {
+            countPost(counters, source, categoryKey, 1);
+        }
 
-    dailyCounters.total++;
-    dailyCounters[source] = (dailyCounters[source] || 0) + 1;
-    dailyCounters.byCategory[categoryKey] = (dailyCounters.byCategory[categoryKey] || 0) + 1;
+        return counters;
+    });
+
+    return force ? { allowed: true, reason: verdict.reason } : verdict;
+}
+
+/**
+ * Give back a slot taken by reservePost
+ * @param {string} source - Product source
+ * @param {string} categoryKey - Category key
+ * @returns {Promise<Object>} Updated counters
+ */
+async function releasePost(source, categoryKey) {
+    return store.update(COUNTERS_KEY, stored => {
+        const counters = rollover(stored);
+        countPost(counters, source, categoryKey, -1);
+        return counters;
+    });
+}
+
+/**
+ * Check if a channel can take more posts today
+ * @param {string} channelKey - Channel key
+ * @returns {Promise<Object>} { allowed: boolean, reason: string }
+ */
+async function canPostToChannel(channelKey) {
+    const limit = channels.getChannelLimit(channelKey);
+    if (limit === null) {
+        return { allowed: true, reason: 'OK' };
+    }
+
+    const counters = await loadCounters();
+    if ((counters.byChannel?.[channelKey] || 0) >= limit) {
+        return { allowed: false, reason: `Channel ${channelKey} limit reached` };
+    }
+
+    return { allowed: true, reason: 'OK' };
+}
+
+/**
+ * Count a post against the channels it went out to
+ * The total, source and category counts were taken by reservePost.
+ * Runs as a single atomic update so concurrent invocations can't lose counts.
+ * @param {Array} channelKeys - Channels the deal went out to
+ * @returns {Promise<Object>} Updated counters
+ */
+async function incrementChannels(channelKeys = []) {
+    return store.update(COUNTERS_KEY, stored => {
+        const counters = rollover(stored);
+
+        counters.byChannel = counters.byChannel || {};
+        for (const channelKey of channelKeys) {
+            counters.byChannel[channelKey] = (counters.byChannel[channelKey] || 0) + 1;
+        }
+
+        return counters;
+    });
 }
 
 /**
  * Get current posting statistics
- * @returns {Object} Current counters
+ * @returns {Promise<Object>} Current counters
  */
-function getStats() {
-    initCounters();
-    return { ...dailyCounters };
+async function getStats() {
+    return { ...(await loadCounters()) };
 }
 
 /**
- * Select categories for this posting session using weighted random
- * @param {number} count - Number of categories to select
- * @returns {Array} Array of category keys
+ * Pick keys by category weight without duplicates
+ * @param {Array} categoryKeys - Candidate category keys
+ * @param {number} count - Number of keys to pick
+ * @returns {Array} Picked keys
  */
-function selectCategories(count = 3) {
-    const categoryKeys = Object.keys(categories);
+function weightedPick(categoryKeys, count) {
     const selected = [];
 
     // Build weighted array
     const weighted = [];
     for (const key of categoryKeys) {
-        const weight = categories[key].weight || 1;
+        const weight = categories[key]?.weight || 1;
         for (let i = 0; i < weight; i++) {
             weighted.push(key);
         }
@@ -156,41 +303,164 @@ function selectCategories(count = 3) {
     return selected;
 }
 
+/**
+ * Select categories for this posting session using weighted random
+ * Preferred categories (from the time slot) are picked first and the
+ * remainder is filled from the rest of the catalogue.
+ * @param {number} count - Number of categories to select
+ * @param {Array} preferred - Preferred category keys
+ * @returns {Array} Array of category keys
+ */
+function selectCategories(count = 3, preferred = []) {
+    const preferredKeys = preferred.filter(key => categories[key]);
+    const selected = weightedPick(preferredKeys, count);
+
+    if (selected.length < count) {
+        const remaining = Object.keys(categories).filter(key => !selected.includes(key));
+        selected.push(...weightedPick(remaining, count - selected.length));
+    }
+
+    return selected;
+}
+
 /**
  * Determine source priority for this session
- * Flipkart has priority, Amazon is secondary
- * @returns {Array} Ordered array of sources
+ * Order and enablement come from settings.sources (priority / enabled);
+ * sources that hit their daily limit are left out.
+ * @returns {Promise<Array>} Ordered array of sources
+ */
+async function getSourcePriority() {
+    const counters = await loadCounters();
+
+    return providers.getEnabledProviders()
+        .map(provider => provider.name)
+        .filter(source => (counters[source] || 0) < getSourceLimit(source));
+}
+
+/**
+ * Parse an "HH:MM" string into minutes since midnight
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes or null if invalid
+ */
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Check if a minute-of-day falls inside a window (windows may wrap midnight)
+ * @param {number} minutes - Minutes since midnight
+ * @param {number} start - Window start
+ * @param {number} end - Window end (exclusive)
+ * @returns {boolean} True if inside
+ */
+function inWindow(minutes, start, end) {
+    if (start <= end) {
+        return minutes >= start && minutes < end;
+    }
+    return minutes >= start || minutes < end;
+}
+
+/**
+ * Get configured time slots in a normalized shape
+ * A slot may be a plain "HH:MM" start time or an object with
+ * start, end, posts, categories and sourceMix.
+ * @returns {Array} [{ name, start, end, posts, categories, sourceMix }]
+ */
+function getTimeSlots() {
+    const windowMinutes = limits.posting?.slotWindowMinutes || 120;
+
+    return Object.entries(limits.timeSlots || {})
+        .map(([name, config]) => {
+            const slot = typeof config === 'string' ? { start: config } : config;
+            const start = parseTime(slot.start);
+            if (start === null) return null;
+
+            const end = parseTime(slot.end);
+
+            return {
+                name: name,
+                start: start,
+                end: end !== null ? end : (start + windowMinutes) % (24 * 60),
+                posts: slot.posts || limits.posting?.postsPerSlot || 4,
+                categories: slot.categories || [],
+                sourceMix: slot.sourceMix || null
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Check if a moment falls inside configured quiet hours
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {boolean} True if posting should be silent
+ */
+function isQuietHours(date = new Date()) {
+    const start = parseTime(limits.quietHours?.start);
+    const end = parseTime(limits.quietHours?.end);
+    if (start === null || end === null) return false;
+
+    return inWindow(time.getLocalMinutes(date), start, end);
+}
+
+/**
+ * Find the time slot a moment belongs to
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {Object|null} Slot or null when outside every slot
  */
-function getSourcePriority() {
-    initCounters();
+function getCurrentSlot(date = new Date()) {
+    const minutes = time.getLocalMinutes(date);
+    return getTimeSlots().find(slot => inWindow(minutes, slot.start, slot.end)) || null;
+}
 
-    const sources = [];
+/**
+ * Work out the posting plan for this run
+ * @param {Object} options - { date, slot } where slot forces a named slot
+ * @returns {Object} { allowed, reason, slot, posts, categories, sourceMix }
+ */
+function getSessionPlan(options = {}) {
+    const date = options.date || new Date();
 
-    // Check if Flipkart has room
-    if (dailyCounters.flipkart < limits.dailyLimits.flipkart) {
-        sources.push('flipkart');
+    if (isQuietHours(date)) {
+        return { allowed: false, reason: 'Quiet hours', slot: null };
     }
 
-    // Check if Amazon has room
-    if (dailyCounters.amazon < limits.dailyLimits.amazon) {
-        sources.push('amazon');
+    const slot = options.slot
+        ? getTimeSlots().find(s => s.name === options.slot)
+        : getCurrentSlot(date);
+
+    if (!slot) {
+        return {
+            allowed: false,
+            reason: options.slot ? `Unknown time slot: ${options.slot}` : 'Outside posting slots',
+            slot: null
+        };
     }
 
-    return sources;
+    return {
+        allowed: true,
+        reason: 'OK',
+        slot: slot.name,
+        posts: slot.posts,
+        categories: slot.categories,
+        sourceMix: slot.sourceMix
+    };
 }
 
 /**
  * Calculate posts to make this session
- * @returns {number} Number of posts for this time slot
+ * @param {Object} plan - Session plan from getSessionPlan (optional)
+ * @returns {Promise<number>} Number of posts for this time slot
  */
-function getPostsForSession() {
-    initCounters();
+async function getPostsForSession(plan = null) {
+    const counters = await loadCounters();
 
-    const postsPerSlot = limits.posting?.postsPerSlot || 4;
+    const postsPerSlot = plan?.posts ?? limits.posting?.postsPerSlot ?? 4;
     const totalLimit = getTotalLimit();
-    const remaining = totalLimit - dailyCounters.total;
+    const remaining = totalLimit - counters.total;
 
-    return Math.min(postsPerSlot, remaining);
+    return Math.max(0, Math.min(postsPerSlot, remaining));
 }
 
 /**
@@ -224,27 +494,31 @@ function getAllCategories() {
 
 /**
  * Reset all counters (for testing)
+ * @returns {Promise<void>}
  */
-function resetCounters() {
-    dailyCounters = {
-        flipkart: 0,
-        amazon: 0,
-        total: 0,
-        byCategory: {},
-        date: null
-    };
+async function resetCounters() {
+    await store.set(COUNTERS_KEY, emptyCounters());
 }
 
 module.exports = {
     initCounters,
     isSaleMode,
     getTotalLimit,
+    getSourceLimit,
+    getCategoryLimit,
     canPost,
-    incrementCounters,
+    canPostToChannel,
+    reservePost,
+    releasePost,
+    incrementChannels,
     getStats,
     selectCategories,
     getSourcePriority,
     getPostsForSession,
+    getTimeSlots,
+    getCurrentSlot,
+    isQuietHours,
+    getSessionPlan,
     getFilters,
     getCategoryInfo,
     getAllCategories,
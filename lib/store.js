@@ -0,0 +1,377 @@
+/**
+ * State Store
+ *
+ * Pluggable key/value store for state that must survive between
+ * serverless invocations (daily counters, caches, queues).
+ * Ships with a local JSON-file backend and a KV adapter for
+ * Redis-compatible REST APIs (Vercel KV / Upstash).
+ *
+ * Every adapter implements the same interface:
+ *   get(key)                  -> Promise<any|null>
+ *   set(key, value)           -> Promise<void>
+ *   update(key, mutator)      -> Promise<any> (atomic read-modify-write)
+ *   delete(key)               -> Promise<void>
+ *
+ * @module lib/store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const settings = require('../config/settings.json');
+
+const storageSettings = settings.storage || {};
+
+// Lock settings shared by all adapters
+const LOCK_TIMEOUT_MS = storageSettings.lockTimeoutMs || 5000;
+const LOCK_RETRY_MS = 50;
+
+// Registered adapter factories and the active instance
+const adapters = {};
+let activeStore = null;
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Deep copy a JSON-compatible value so mutators never see shared state
+ * @param {*} value - Value to copy
+ * @returns {*} Copy of the value
+ */
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create a JSON-file backed store
+ * One file per key inside the data directory. Writes go through a
+ * temp file + rename, and updates hold an exclusive lock file.
+ * @param {Object} options - { dataDir }
+ * @returns {Object} Store adapter
+ */
+function createFileStore(options = {}) {
+    // The deployed code is read-only on Vercel; only /tmp is writable there
+    const defaultDir = process.env.VERCEL
+        ? path.join(os.tmpdir(), 'daily-trendz')
+        : options.dataDir || path.join(__dirname, '..', 'data');
+    const dataDir = path.resolve(process.env.DATA_DIR || defaultDir);
+
+    if (process.env.VERCEL) {
+        console.warn(`[Store] File store on Vercel writes to ${dataDir}, which is not shared between invocations`);
+    }
+
+    function filePath(key) {
+        const safeKey = String(key).replace(/[^a-zA-Z0-9._-]/g, '_');
+        return path.join(dataDir, `${safeKey}.json`);
+    }
+
+    async function ensureDir() {
+        await fs.promises.mkdir(dataDir, { recursive: true });
+    }
+
+    async function read(key) {
+        try {
+            const raw = await fs.promises.readFile(filePath(key), 'utf8');
+            return JSON.parse(raw);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`[Store] Failed to read ${key}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    async function write(key, value) {
+        await ensureDir();
+        const target = filePath(key);
+        const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+        await fs.promises.writeFile(temp, JSON.stringify(value, null, 2));
+        await fs.promises.rename(temp, target);
+    }
+
+    async function acquireLock(key) {
+        await ensureDir();
+        const lockPath = `${filePath(key)}.lock`;
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+        while (true) {
+            try {
+                const handle = await fs.promises.open(lockPath, 'wx');
+                await handle.close();
+                return lockPath;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+
+                // Break locks left behind by crashed invocations
+                try {
+                    const stat = await fs.promises.stat(lockPath);
+                    if (Date.now() - stat.mtimeMs > LOCK_TIMEOUT_MS) {
+                        await fs.promises.unlink(lockPath);
+                        continue;
+                    }
+                } catch (statError) {
+                    continue;
+                }
+
+                if (Date.now() > deadline) {
+                    throw new Error(`Timed out waiting for lock on ${key}`);
+                }
+                await sleep(LOCK_RETRY_MS);
+            }
+        }
+    }
+
+    return {
+        name: 'file',
+
+        async get(key) {
+            return read(key);
+        },
+
+        async set(key, value) {
+            await write(key, value);
+        },
+
+        async update(key, mutator) {
+            const lockPath = await acquireLock(key);
+            try {
+                const current = await read(key);
+                const next = await mutator(clone(current));
+                await write(key, next);
+                return clone(next);
+            } finally {
+                await fs.promises.unlink(lockPath).catch(() => { });
+            }
+        },
+
+        async delete(key) {
+            await fs.promises.unlink(filePath(key)).catch(() => { });
+        }
+    };
+}
+
+/**
+ * Create a KV store backed by a Redis-compatible REST API
+ * (Vercel KV / Upstash). Updates are serialized with a SET NX lock.
+ * @param {Object} options - { url, token, keyPrefix }
+ * @returns {Object} Store adapter
+ */
+function createKvStore(options = {}) {
+    const url = options.url || process.env.KV_REST_API_URL;
+    const token = options.token || process.env.KV_REST_API_TOKEN;
+    const keyPrefix = options.keyPrefix || storageSettings.keyPrefix || '';
+
+    if (!url || !token) {
+        throw new Error('KV store credentials not configured');
+    }
+
+    async function command(...args) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(args)
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || data.error) {
+            throw new Error(`KV error: ${data.error || response.status}`);
+        }
+
+        return data.result;
+    }
+
+    async function read(key) {
+        const raw = await command('GET', keyPrefix + key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    async function write(key, value) {
+        await command('SET', keyPrefix + key, JSON.stringify(value));
+    }
+
+    async function acquireLock(key) {
+        const lockKey = `${keyPrefix}${key}:lock`;
+        const lockToken = crypto.randomBytes(8).toString('hex');
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+        while (true) {
+            const result = await command('SET', lockKey, lockToken, 'NX', 'PX', LOCK_TIMEOUT_MS);
+            if (result === 'OK') {
+                return { lockKey, lockToken };
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for lock on ${key}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    async function releaseLock({ lockKey, lockToken }) {
+        // Only release our own lock (it may have expired and been re-taken)
+        const holder = await command('GET', lockKey);
+        if (holder === lockToken) {
+            await command('DEL', lockKey);
+        }
+    }
+
+    return {
+        name: 'kv',
+
+        async get(key) {
+            return read(key);
+        },
+
+        async set(key, value) {
+            await write(key, value);
+        },
+
+        async update(key, mutator) {
+            const lock = await acquireLock(key);
+            try {
+                const current = await read(key);
+                const next = await mutator(clone(current));
+                await write(key, next);
+                return clone(next);
+            } finally {
+                await releaseLock(lock).catch(() => { });
+            }
+        },
+
+        async delete(key) {
+            await command('DEL', keyPrefix + key);
+        }
+    };
+}
+
+/**
+ * Register a store adapter factory
+ * @param {string} name - Driver name used in settings.storage.driver
+ * @param {Function} factory - Function(options) returning an adapter
+ */
+function registerAdapter(name, factory) {
+    adapters[name] = factory;
+}
+
+/**
+ * Pick the store driver
+ * STATE_STORE or settings.storage.driver win; "auto" (the default) uses
+ * KV when its credentials are set and the file store otherwise. On Vercel
+ * the file store would lose all state between invocations, so "auto"
+ * without KV credentials fails instead.
+ * @returns {string} Driver name
+ * @throws {Error} When running on Vercel without a shared store
+ */
+function resolveDriver() {
+    const driver = process.env.STATE_STORE || storageSettings.driver || 'auto';
+    if (driver !== 'auto') return driver;
+
+    if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) return 'kv';
+
+    if (process.env.VERCEL) {
+        throw new Error('No shared state store on Vercel: set KV_REST_API_URL and KV_REST_API_TOKEN ' +
+            '(or STATE_STORE=file to accept state that resets between invocations)');
+    }
+
+    return 'file';
+}
+
+/**
+ * Get the active store, creating it from settings on first use
+ * Driver can be overridden with the STATE_STORE env variable.
+ * @returns {Object} Store adapter
+ */
+function getStore() {
+    if (!activeStore) {
+        const driver = resolveDriver();
+        const factory = adapters[driver];
+
+        if (!factory) {
+            throw new Error(`Unknown state store driver: ${driver}`);
+        }
+
+        activeStore = factory(storageSettings);
+        console.log(`[Store] Using ${activeStore.name} store`);
+    }
+
+    return activeStore;
+}
+
+/**
+ * Replace the active store (for testing or custom adapters)
+ * @param {Object|null} store - Store adapter, or null to re-read settings
+ */
+function setStore(store) {
+    activeStore = store;
+}
+
+/**
+ * Read a value
+ * @param {string} key - Store key
+ * @param {*} fallback - Value returned when key is missing
+ * @returns {Promise<*>} Stored value or fallback
+ */
+async function get(key, fallback = null) {
+    const value = await getStore().get(key);
+    return value === null || value === undefined ? fallback : value;
+}
+
+/**
+ * Write a value
+ * @param {string} key - Store key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+async function set(key, value) {
+    await getStore().set(key, value);
+}
+
+/**
+ * Atomically read, modify and write a value
+ * @param {string} key - Store key
+ * @param {Function} mutator - Receives current value (or fallback), returns next value
+ * @param {*} fallback - Value passed to mutator when key is missing
+ * @returns {Promise<*>} The value that was written
+ */
+async function update(key, mutator, fallback = null) {
+    return getStore().update(key, current =>
+        mutator(current === null || current === undefined ? clone(fallback) : current)
+    );
+}
+
+/**
+ * Delete a value
+ * @param {string} key - Store key
+ * @returns {Promise<void>}
+ */
+async function remove(key) {
+    await getStore().delete(key);
+}
+
+registerAdapter('file', createFileStore);
+registerAdapter('kv', createKvStore);
+
+module.exports = {
+    get,
+    set,
+    update,
+    remove,
+    getStore,
+    setStore,
+    registerAdapter,
+    createFileStore,
+    createKvStore
+};
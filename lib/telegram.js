@@ -2,7 +2,14 @@
  * Telegram Bot API Integration
  * 
  * Posts formatted messages to Telegram channels.
- * Uses Bot API sendMessage endpoint (no webhooks needed).
+ * A deal can be fanned out to several chats (see lib/channels), and
+ * into a forum topic per category in supergroups with topics enabled.
+ *
+ * Every chat-bound call goes through one delivery layer: sends are paced
+ * per chat (about 20 a minute), "Too Many Requests" waits out
+ * retry_after, other transient errors back off, and permanent errors
+ * (bad request, chat not found, bot blocked) fail straight away.
+ * Captions and texts are kept within Telegram's length limits.
  * 
  * @module lib/telegram
  */
@@ -10,9 +17,25 @@
 const fetch = require('node-fetch');
 const settings = require('../config/settings.json');
 const limits = require('../config/limits.json');
+const store = require('./store');
+const throttle = require('./throttle');
+const formatter = require('./formatter');
 
 const TELEGRAM_API = 'https://api.telegram.org/bot';
 
+// Telegram limits on visible characters (after HTML parsing)
+const CAPTION_LIMIT = 1024;
+const MESSAGE_LIMIT = 4096;
+
+// Per-chat send pacing buckets
+const chatThrottles = new Map();
+
+// Chats under a long flood wait: chatId -> timestamp it ends
+const floodedChats = new Map();
+
+// Store key for forum topic IDs: chatId -> { topic name -> message_thread_id }
+const TOPICS_KEY = 'telegram-topics';
+
 /**
  * Get Telegram bot credentials
  * @returns {Object} Bot token and channel ID
@@ -28,14 +51,214 @@ function getCredentials() {
     return { botToken, channelId };
 }
 
+/**
+ * Get delivery settings
+ * @returns {Object} { maxRetries, perChatPerMinute, burst, maxRetryAfterSeconds }
+ */
+function getDeliverySettings() {
+    const posting = limits.posting || {};
+    return {
+        maxRetries: posting.retryOnFailure === false ? 0 : (posting.maxRetries ?? 3),
+        perChatPerMinute: posting.perChatPerMinute || 20,
+        burst: posting.perChatBurst || 3,
+        maxRetryAfterSeconds: posting.maxRetryAfterSeconds || 60
+    };
+}
+
+/**
+ * Build an error from a failed Bot API response
+ * Transient errors (flood control, server errors) are worth retrying;
+ * permanent ones (bad request, chat not found, bot blocked) are not.
+ * @param {string} method - Bot API method
+ * @param {Object} data - Response body ({ ok: false, error_code, description, parameters })
+ * @returns {Error} Error with code, errorCode, retryAfter and permanent
+ */
+function createApiError(method, data) {
+    const error = new Error(data.description || `Telegram ${method} error`);
+    error.code = 'TELEGRAM_API_ERROR';
+    error.errorCode = data.error_code || null;
+    error.retryAfter = data.parameters?.retry_after ?? null;
+    error.migrateToChatId = data.parameters?.migrate_to_chat_id ?? null;
+    error.permanent = error.retryAfter === null &&
+        !(error.errorCode >= 500) &&
+        error.errorCode !== 429;
+    return error;
+}
+
+/**
+ * Call a Bot API method once
+ * @param {string} method - Bot API method (sendMessage, sendPhoto...)
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} Classified API error; network errors are transient
+ */
+async function callApi(method, payload) {
+    const { botToken } = getCredentials();
+
+    let data;
+    try {
+        const response = await fetch(`${TELEGRAM_API}${botToken}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        data = await response.json();
+    } catch (error) {
+        error.permanent = false;
+        throw error;
+    }
+
+    if (!data.ok) {
+        throw createApiError(method, data);
+    }
+
+    return data;
+}
+
+/**
+ * Get the send pacing bucket of a chat
+ * Telegram allows about 20 messages a minute per channel or group.
+ * @param {string} chatId - Chat ID
+ * @returns {Object} Throttle
+ */
+function getChatThrottle(chatId) {
+    if (!chatThrottles.has(chatId)) {
+        const { perChatPerMinute, burst } = getDeliverySettings();
+        chatThrottles.set(chatId, throttle.createThrottle({
+            name: `telegram-${chatId}`,
+            ratePerSecond: perChatPerMinute / 60,
+            burst: burst
+        }));
+    }
+    return chatThrottles.get(chatId);
+}
+
+/**
+ * Call a Bot API method for a chat with pacing and flood control
+ * Honors retry_after on "Too Many Requests" and retries other transient
+ * errors with backoff. A chat asking for a longer wait than
+ * maxRetryAfterSeconds is skipped for the rest of this invocation.
+ * @param {string} method - Bot API method
+ * @param {Object} payload - Request body (chat_id picks the pacing bucket)
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} Classified API error once retries are used up
+ */
+async function deliver(method, payload) {
+    const { maxRetries, maxRetryAfterSeconds } = getDeliverySettings();
+    const chatId = String(payload.chat_id);
+
+    const blockedUntil = floodedChats.get(chatId) || 0;
+    if (blockedUntil > Date.now()) {
+        const error = new Error(`Flood control: ${chatId} is paused for ${Math.ceil((blockedUntil - Date.now()) / 1000)}s`);
+        error.code = 'FLOOD_WAIT';
+        error.permanent = false;
+        throw error;
+    }
+
+    return throttle.withBackoff(async () => {
+        await getChatThrottle(chatId).acquire();
+        return callApi(method, payload);
+    }, {
+        maxRetries: maxRetries,
+        baseMs: 1000,
+        maxMs: maxRetryAfterSeconds * 1000,
+        isRetryable: error => {
+            if (error.permanent) return false;
+            if (error.retryAfter > maxRetryAfterSeconds) {
+                floodedChats.set(chatId, Date.now() + error.retryAfter * 1000);
+                console.warn(`[Telegram] Flood control on ${chatId}, retry after ${error.retryAfter}s; skipping it this run`);
+                return false;
+            }
+            return true;
+        },
+        getRetryAfterMs: error => (error.retryAfter !== null && error.retryAfter !== undefined ? error.retryAfter * 1000 : null),
+        onRetry: (error, attempt, delayMs) => {
+            console.warn(`[Telegram] ${method} to ${chatId} failed (${error.message}), retry ${attempt} in ${delayMs}ms`);
+        }
+    });
+}
+
+/**
+ * Reduce an HTML message to the text Telegram shows
+ * @param {string} html - HTML message
+ * @returns {string} Plain text
+ */
+function toPlainText(html) {
+    return String(html || '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Measure text the way Telegram counts it (after HTML parsing)
+ * @param {string} html - HTML message
+ * @returns {number} Visible length
+ */
+function visibleLength(html) {
+    return toPlainText(html).length;
+}
+
+/**
+ * Split an HTML message at line breaks so the first part fits a limit
+ * Lines are kept whole so tags stay balanced.
+ * @param {string} html - HTML message
+ * @param {number} limit - Visible length limit for the first part
+ * @returns {Object|null} { head, rest } (rest is null when it all fits),
+ *   or null when even the first line is too long
+ */
+function splitAtLimit(html, limit) {
+    if (visibleLength(html) <= limit) return { head: html, rest: null };
+
+    const lines = html.split('\n');
+    let cut = lines.length - 1;
+    while (cut > 0 && visibleLength(lines.slice(0, cut).join('\n')) > limit) cut--;
+
+    if (cut === 0) return null;
+    return {
+        head: lines.slice(0, cut).join('\n').trim(),
+        rest: lines.slice(cut).join('\n').trim() || null
+    };
+}
+
+/**
+ * Break a long HTML message into parts that each fit a limit
+ * @param {string} html - HTML message
+ * @param {number} limit - Visible length limit per part
+ * @returns {Array} Message parts (a line longer than the limit is cut)
+ */
+function chunkMessage(html, limit = MESSAGE_LIMIT) {
+    const parts = [];
+    let remaining = html;
+
+    while (remaining) {
+        const split = splitAtLimit(remaining, limit);
+        if (!split) {
+            // A single oversized line: drop its markup and cut it
+            const [line, ...rest] = remaining.split('\n');
+            parts.push(formatter.escapeHtml(formatter.truncate(toPlainText(line), limit)));
+            remaining = rest.join('\n').trim();
+            continue;
+        }
+        parts.push(split.head);
+        remaining = split.rest;
+    }
+
+    return parts;
+}
+
 /**
  * Send a message to the Telegram channel
  * @param {string} text - Message text (HTML format)
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options (chat_id, message_thread_id, reply_markup...)
  * @returns {Promise<Object>} Telegram API response
+ * @throws {Error} Classified API error once retries are used up
  */
 async function sendMessage(text, options = {}) {
-    const { botToken, channelId } = getCredentials();
+    const { channelId } = getCredentials();
     const telegramSettings = settings.telegram;
 
     const payload = {
@@ -48,19 +271,7 @@ async function sendMessage(text, options = {}) {
     };
 
     try {
-        const response = await fetch(`${TELEGRAM_API}${botToken}/sendMessage`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        const data = await response.json();
-
-        if (!data.ok) {
-            throw new Error(data.description || 'Telegram API error');
-        }
-
-        return data;
+        return await deliver('sendMessage', payload);
     } catch (error) {
         console.error('[Telegram] Send error:', error.message);
         throw error;
@@ -68,94 +279,247 @@ async function sendMessage(text, options = {}) {
 }
 
 /**
- * Send a message with retry logic
+ * Send a message, returning null instead of throwing
+ * Transient errors are already retried by the delivery layer.
  * @param {string} text - Message text
  * @param {Object} options - Additional options
  * @returns {Promise<Object|null>} Response or null on failure
  */
 async function sendMessageWithRetry(text, options = {}) {
-    const maxRetries = limits.posting.retryOnFailure ? limits.posting.maxRetries : 0;
-    let lastError;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            return await sendMessage(text, options);
-        } catch (error) {
-            lastError = error;
-
-            // Check for rate limit error
-            if (error.message?.includes('Too Many Requests')) {
-                console.warn('[Telegram] Rate limited, aborting');
-                break;
-            }
-
-            // Wait before retry
-            if (attempt < maxRetries) {
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
+    try {
+        return await sendMessage(text, options);
+    } catch (error) {
+        return null;
     }
-
-    console.error('[Telegram] All retries failed:', lastError?.message);
-    return null;
 }
 
 /**
  * Send a photo with caption to the channel
+ * The caption must fit Telegram's 1024 character limit (see postToChat).
  * @param {string} photoUrl - URL of the image
  * @param {string} caption - Caption text (HTML format)
+ * @param {Object} options - Additional options (chat_id, message_thread_id, reply_markup...)
  * @returns {Promise<Object|null>} Response or null on failure
  */
-async function sendPhoto(photoUrl, caption) {
-    const { botToken, channelId } = getCredentials();
+async function sendPhoto(photoUrl, caption, options = {}) {
+    const { channelId } = getCredentials();
 
     const payload = {
         chat_id: channelId,
         photo: photoUrl,
         caption: caption,
-        parse_mode: 'HTML'
+        parse_mode: 'HTML',
+        ...options
     };
 
     try {
-        const response = await fetch(`${TELEGRAM_API}${botToken}/sendPhoto`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+        return await deliver('sendPhoto', payload);
+    } catch (error) {
+        console.error('[Telegram] Photo send error:', error.message);
+        return null;
+    }
+}
 
-        const data = await response.json();
+/**
+ * Create a topic in a forum supergroup
+ * The bot needs the "Manage Topics" admin right.
+ * @param {string} chatId - Supergroup chat ID
+ * @param {string} name - Topic name (1-128 characters)
+ * @param {number} iconColor - Optional topic icon color (RGB integer)
+ * @returns {Promise<number>} message_thread_id of the new topic
+ */
+async function createForumTopic(chatId, name, iconColor = null) {
+    const payload = { chat_id: chatId, name: name };
+    if (iconColor) {
+        payload.icon_color = iconColor;
+    }
 
-        if (!data.ok) {
-            throw new Error(data.description || 'Telegram photo send error');
-        }
+    const data = await deliver('createForumTopic', payload);
+
+    console.log(`[Telegram] Created topic "${name}" in ${chatId}`);
+    return data.result.message_thread_id;
+}
+
+/**
+ * Get the thread ID of a forum topic, creating the topic if needed
+ * Created topic IDs are saved in the state store per chat.
+ * @param {string} chatId - Supergroup chat ID
+ * @param {Object} topic - { name, threadId, iconColor } (threadId skips the lookup)
+ * @returns {Promise<number|null>} message_thread_id, or null for the General topic
+ */
+async function getTopicThreadId(chatId, topic) {
+    if (!topic) return null;
+    if (topic.threadId) return topic.threadId;
+
+    const saved = (await store.get(TOPICS_KEY, {}))[chatId]?.[topic.name];
+    if (saved) return saved;
+
+    try {
+        const threadId = await createForumTopic(chatId, topic.name, topic.iconColor);
 
-        return data;
+        // Another run may have created the topic meanwhile; keep the first one saved
+        const topics = await store.update(TOPICS_KEY, current => {
+            current[chatId] = current[chatId] || {};
+            current[chatId][topic.name] = current[chatId][topic.name] || threadId;
+            return current;
+        }, {});
+
+        return topics[chatId][topic.name];
     } catch (error) {
-        console.error('[Telegram] Photo send error:', error.message);
+        console.error(`[Telegram] Topic "${topic.name}" unavailable, posting to General:`, error.message);
         return null;
     }
 }
 
 /**
- * Post a product deal to the channel
+ * Send the overflow of a post as replies to it
+ * @param {Array} parts - Message parts
+ * @param {Object} sendOptions - Payload fields of the post (chat_id, message_thread_id)
+ * @param {number} replyTo - message_id of the post
+ * @returns {Promise<void>}
+ */
+async function sendFollowUps(parts, sendOptions, replyTo) {
+    // Buttons stay on the post itself
+    const options = { ...sendOptions };
+    delete options.reply_markup;
+
+    for (const part of parts) {
+        await sendMessageWithRetry(part, {
+            ...options,
+            reply_to_message_id: replyTo,
+            disable_web_page_preview: true,
+            disable_notification: true
+        });
+    }
+}
+
+/**
+ * Post a deal to a single chat
+ * Captions over 1024 characters keep their first lines on the photo and
+ * move the rest into a follow-up reply; texts over 4096 are split.
  * @param {string} formattedMessage - Pre-formatted message
  * @param {string} imageUrl - Optional product image URL
- * @returns {Promise<boolean>} Success status
+ * @param {Object} sendOptions - Extra payload fields (chat_id, message_thread_id)
+ * @returns {Promise<Object|null>} { chatId, messageId, kind: photo|text } or null on failure
  */
-async function postDeal(formattedMessage, imageUrl = null) {
+async function postToChat(formattedMessage, imageUrl, sendOptions) {
+    const sent = (data, kind) => ({
+        chatId: data.result?.chat?.id ?? sendOptions.chat_id,
+        messageId: data.result?.message_id,
+        kind: kind
+    });
+
     try {
         // If image URL provided and valid, send as photo
-        if (imageUrl && imageUrl.startsWith('http')) {
-            const result = await sendPhoto(imageUrl, formattedMessage);
-            if (result) return true;
+        const caption = splitAtLimit(formattedMessage, CAPTION_LIMIT);
+        if (imageUrl && imageUrl.startsWith('http') && caption) {
+            const result = await sendPhoto(imageUrl, caption.head, sendOptions);
+            if (result) {
+                if (caption.rest) {
+                    await sendFollowUps(chunkMessage(caption.rest), sendOptions, result.result?.message_id);
+                }
+                return sent(result, 'photo');
+            }
             // Fallback to text-only if photo fails
         }
 
         // Send as text message
-        const result = await sendMessageWithRetry(formattedMessage);
-        return result !== null;
+        const [first, ...rest] = chunkMessage(formattedMessage);
+        const result = await sendMessageWithRetry(first, sendOptions);
+        if (result === null) return null;
+
+        if (rest.length > 0) {
+            await sendFollowUps(rest, sendOptions, result.result?.message_id);
+        }
+        return sent(result, 'text');
     } catch (error) {
         console.error('[Telegram] postDeal error:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Post a product deal to one or more chats
+ * Without chats the deal goes to the default channel.
+ * @param {string} formattedMessage - Pre-formatted message
+ * @param {string} imageUrl - Optional product image URL
+ * @param {Object} options - { chats: [{ chatId, threadId }], keyboard }
+ *   chats fans out to specific chats/topics; keyboard is an inline keyboard (reply_markup)
+ * @returns {Promise<Object>} { success, delivered: [chatId], failed: [chatId], messages }
+ *   messages holds { chatId, messageId, kind } per delivered chat (same order), for later edits
+ */
+async function postDeal(formattedMessage, imageUrl = null, options = {}) {
+    const chats = options.chats?.length ? options.chats : [{ chatId: null }];
+    const delivered = [];
+    const failed = [];
+    const messages = [];
+
+    for (const { chatId, threadId } of chats) {
+        const sendOptions = {};
+        if (chatId) sendOptions.chat_id = chatId;
+        if (threadId) sendOptions.message_thread_id = threadId;
+        if (options.keyboard) sendOptions.reply_markup = options.keyboard;
+
+        const message = await postToChat(formattedMessage, imageUrl, sendOptions);
+
+        if (message) {
+            delivered.push(chatId);
+            messages.push(message);
+        } else {
+            failed.push(chatId);
+        }
+    }
+
+    return { success: delivered.length > 0, delivered, failed, messages };
+}
+
+/**
+ * Edit a posted deal in place
+ * Photo posts have their caption edited, text posts their text.
+ * @param {Object} message - { chatId, messageId, kind } from postDeal
+ * @param {string} text - New message text (HTML format)
+ * @param {Object} keyboard - New inline keyboard, or null to remove it
+ * @returns {Promise<boolean>} True if edited (or already showing this text)
+ */
+async function editDeal(message, text, keyboard = null) {
+    const isPhoto = message.kind === 'photo';
+    const method = isPhoto ? 'editMessageCaption' : 'editMessageText';
+
+    // Edits can't add a follow-up, so over-long text loses its last lines
+    const fitted = splitAtLimit(text, isPhoto ? CAPTION_LIMIT : MESSAGE_LIMIT)?.head ||
+        chunkMessage(text, isPhoto ? CAPTION_LIMIT : MESSAGE_LIMIT)[0];
+
+    const payload = {
+        chat_id: message.chatId,
+        message_id: message.messageId,
+        [isPhoto ? 'caption' : 'text']: fitted,
+        parse_mode: settings.telegram.parseMode || 'HTML',
+        reply_markup: keyboard || { inline_keyboard: [] }
+    };
+
+    try {
+        await deliver(method, payload);
+        return true;
+    } catch (error) {
+        if (error.message?.includes('message is not modified')) return true;
+
+        console.error(`[Telegram] Edit error (${message.chatId}/${message.messageId}):`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Answer a callback query (button press) so the client stops its spinner
+ * @param {string} callbackQueryId - callback_query.id from the update
+ * @param {string} text - Optional toast shown to the user
+ * @returns {Promise<boolean>} True if answered
+ */
+async function answerCallbackQuery(callbackQueryId, text = '') {
+    try {
+        await callApi('answerCallbackQuery', { callback_query_id: callbackQueryId, text: text });
+        return true;
+    } catch (error) {
+        console.error('[Telegram] Callback answer error:', error.message);
         return false;
     }
 }
@@ -196,7 +560,13 @@ module.exports = {
     sendMessage,
     sendMessageWithRetry,
     sendPhoto,
+    createForumTopic,
+    getTopicThreadId,
     postDeal,
+    editDeal,
+    answerCallbackQuery,
     postDelay,
-    verifyConnection
+    verifyConnection,
+    splitAtLimit,
+    chunkMessage
 };
@@ -0,0 +1,182 @@
+/**
+ * Request Throttling
+ *
+ * Persisted token bucket with a daily request quota, plus an
+ * exponential backoff helper for rate-limited APIs. Bucket state
+ * lives in the state store so every invocation shares one budget.
+ *
+ * @module lib/throttle
+ */
+
+const store = require('./store');
+const time = require('./time');
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a persisted token bucket
+ * @param {Object} options - { name, ratePerSecond, burst, dailyLimit }
+ * @returns {Object} Throttle with acquire(), getUsage(), getReport(), resetReport()
+ */
+function createThrottle(options) {
+    const {
+        name,
+        ratePerSecond = 1,
+        burst = 1,
+        dailyLimit = null
+    } = options;
+
+    const key = `throttle-${name}`;
+
+    // Activity of this invocation
+    let report = { requests: 0, waitedMs: 0, retries: 0, throttled: 0, quotaExceeded: false };
+
+    /**
+     * Refill the bucket and roll the daily counter over
+     * @param {Object|null} state - Stored state
+     * @returns {Object} Current state
+     */
+    function refill(state) {
+        const now = Date.now();
+        const today = time.getLocalDate(now);
+        const current = state || { tokens: burst, updatedAt: now, day: today, used: 0 };
+
+        const elapsedSeconds = Math.max(0, now - current.updatedAt) / 1000;
+        current.tokens = Math.min(burst, current.tokens + elapsedSeconds * ratePerSecond);
+        current.updatedAt = now;
+
+        if (current.day !== today) {
+            current.day = today;
+            current.used = 0;
+        }
+
+        return current;
+    }
+
+    /**
+     * Take one token, waiting for it if the bucket is empty
+     * Tokens are reserved inside the atomic update (the balance may go
+     * negative), so concurrent callers queue up instead of colliding.
+     * @returns {Promise<void>}
+     * @throws {Error} code QUOTA_EXCEEDED when the daily quota is used up
+     */
+    async function acquire() {
+        let waitMs = 0;
+        let exceeded = false;
+
+        await store.update(key, stored => {
+            const state = refill(stored);
+
+            if (dailyLimit && state.used >= dailyLimit) {
+                exceeded = true;
+                return state;
+            }
+
+            state.tokens -= 1;
+            state.used += 1;
+
+            if (state.tokens < 0) {
+                waitMs = Math.ceil((-state.tokens / ratePerSecond) * 1000);
+            }
+
+            return state;
+        });
+
+        if (exceeded) {
+            report.quotaExceeded = true;
+            const error = new Error(`Daily ${name} request quota of ${dailyLimit} used up`);
+            error.code = 'QUOTA_EXCEEDED';
+            throw error;
+        }
+
+        if (waitMs > 0) {
+            report.waitedMs += waitMs;
+            await sleep(waitMs);
+        }
+
+        report.requests++;
+    }
+
+    /**
+     * Get today's usage
+     * @returns {Promise<Object>} { used, dailyLimit, remaining }
+     */
+    async function getUsage() {
+        const state = refill(await store.get(key));
+        return {
+            used: state.used,
+            dailyLimit: dailyLimit,
+            remaining: dailyLimit ? Math.max(0, dailyLimit - state.used) : null
+        };
+    }
+
+    /**
+     * Record a retry after a rate-limit response
+     * @param {number} delayMs - Backoff delay
+     */
+    function recordRetry(delayMs) {
+        report.retries++;
+        report.throttled++;
+        report.waitedMs += delayMs;
+    }
+
+    return {
+        name,
+        acquire,
+        getUsage,
+        recordRetry,
+        getReport: () => ({ ...report }),
+        resetReport: () => {
+            report = { requests: 0, waitedMs: 0, retries: 0, throttled: 0, quotaExceeded: false };
+        }
+    };
+}
+
+/**
+ * Run a function, retrying with exponential backoff on retryable errors
+ * Uses the server's retry hint when available, otherwise base * 2^attempt
+ * with jitter, capped at maxMs.
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - { maxRetries, baseMs, maxMs, isRetryable, getRetryAfterMs, onRetry }
+ * @returns {Promise<*>} Result of fn
+ */
+async function withBackoff(fn, options = {}) {
+    const {
+        maxRetries = 3,
+        baseMs = 1000,
+        maxMs = 30000,
+        isRetryable = () => false,
+        getRetryAfterMs = () => null,
+        onRetry = () => { }
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryable(error)) {
+                throw error;
+            }
+
+            const hint = getRetryAfterMs(error);
+            const backoff = baseMs * Math.pow(2, attempt) + Math.floor(Math.random() * baseMs);
+            const delayMs = Math.min(maxMs, hint !== null && hint !== undefined ? hint : backoff);
+
+            onRetry(error, attempt + 1, delayMs);
+            await sleep(delayMs);
+        }
+    }
+}
+
+module.exports = {
+    createThrottle,
+    withBackoff,
+    sleep
+};
@@ -0,0 +1,184 @@
+/**
+ * Business Timezone Helpers
+ *
+ * The posting day follows the business timezone from settings
+ * (IST by default), not UTC, so counters and reports roll over
+ * at local midnight.
+ *
+ * @module lib/time
+ */
+
+const settings = require('../config/settings.json');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Formatter cache keyed by timezone
+const partFormatters = new Map();
+
+/**
+ * Get the configured business timezone
+ * Can be overridden with the TIMEZONE env variable.
+ * @returns {string} IANA timezone name
+ */
+function getTimezone() {
+    return process.env.TIMEZONE || settings.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get a cached Intl formatter that yields numeric date parts
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getPartFormatter(timeZone) {
+    if (!partFormatters.has(timeZone)) {
+        partFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+            hourCycle: 'h23'
+        }));
+    }
+    return partFormatters.get(timeZone);
+}
+
+/**
+ * Break a moment into calendar parts in the business timezone
+ * @param {Date|number} date - Date or timestamp (defaults to now)
+ * @returns {Object} { year, month, day, hour, minute, weekday }
+ */
+function getLocalParts(date = new Date()) {
+    const parts = {};
+    for (const { type, value } of getPartFormatter(getTimezone()).formatToParts(new Date(date))) {
+        parts[type] = value;
+    }
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        weekday: parts.weekday
+    };
+}
+
+/**
+ * Get the posting day for a moment
+ * @param {Date|number} date - Date or timestamp (defaults to now)
+ * @returns {string} Date string (YYYY-MM-DD) in the business timezone
+ */
+function getLocalDate(date = new Date()) {
+    const { year, month, day } = getLocalParts(date);
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get minutes since local midnight
+ * @param {Date|number} date - Date or timestamp (defaults to now)
+ * @returns {number} Minutes since midnight in the business timezone
+ */
+function getLocalMinutes(date = new Date()) {
+    const { hour, minute } = getLocalParts(date);
+    return hour * 60 + minute;
+}
+
+/**
+ * Format a moment for logs and reports
+ * @param {Date|number} date - Date or timestamp
+ * @returns {string} e.g. "2024-10-05 14:30 IST"
+ */
+function formatDateTime(date) {
+    const { hour, minute } = getLocalParts(date);
+    const zoneName = new Intl.DateTimeFormat('en-IN', {
+        timeZone: getTimezone(),
+        timeZoneName: 'short'
+    }).formatToParts(new Date(date)).find(part => part.type === 'timeZoneName')?.value || '';
+
+    const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    return `${getLocalDate(date)} ${time} ${zoneName}`.trim();
+}
+
+/**
+ * Convert a wall-clock time in the business timezone to a timestamp
+ * @param {string} localDate - Date string (YYYY-MM-DD)
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @returns {number} Timestamp (ms)
+ */
+function fromLocal(localDate, hour, minute) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    const wanted = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Shift by the zone offset, then once more in case it crossed a DST change
+    let guess = wanted;
+    for (let i = 0; i < 2; i++) {
+        const parts = getLocalParts(guess);
+        const seen = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), parts.hour, parts.minute);
+        guess += wanted - seen;
+    }
+
+    return guess;
+}
+
+/**
+ * Parse a user-supplied time
+ * Accepts ISO timestamps with a zone ("2024-10-05T09:00:00Z"), local
+ * "YYYY-MM-DD HH:MM" / "YYYY-MM-DDTHH:MM" and "HH:MM" (the next time
+ * that clock time comes round), all in the business timezone.
+ * @param {string|number} value - Time to parse
+ * @param {Date|number} now - Reference moment for "HH:MM" (defaults to now)
+ * @returns {number|null} Timestamp (ms) or null when invalid
+ */
+function parseLocalDateTime(value, now = Date.now()) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    const text = String(value || '').trim();
+
+    const validClock = (hour, minute) => Number(hour || 0) <= 23 && Number(minute || 0) <= 59;
+
+    const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (clock) {
+        if (!validClock(clock[1], clock[2])) return null;
+        const at = fromLocal(getLocalDate(now), Number(clock[1]), Number(clock[2]));
+        return at > now ? at : fromLocal(getLocalDate(at + 24 * 60 * 60 * 1000), Number(clock[1]), Number(clock[2]));
+    }
+
+    const local = text.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{1,2}):(\d{2}))?$/);
+    if (local) {
+        if (!validClock(local[2], local[3])) return null;
+        return fromLocal(local[1], Number(local[2] || 0), Number(local[3] || 0));
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Format a posting day for display
+ * @param {string} localDate - Date string (YYYY-MM-DD)
+ * @returns {string} e.g. "Sat, 5 Oct 2024"
+ */
+function formatDisplayDate(localDate) {
+    // Noon UTC keeps the calendar day stable in any display timezone
+    return new Date(`${localDate}T12:00:00Z`).toLocaleDateString('en-IN', {
+        timeZone: 'UTC',
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+}
+
+module.exports = {
+    getTimezone,
+    getLocalParts,
+    getLocalDate,
+    getLocalMinutes,
+    formatDateTime,
+    formatDisplayDate,
+    parseLocalDateTime
+};
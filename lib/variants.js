@@ -0,0 +1,116 @@
+/**
+ * Product Variants
+ *
+ * Category feeds often list one model several times, once per colour or
+ * storage size. Posting each of them burns the per-category limit on
+ * near-identical posts, so listings of one source whose titles differ only
+ * in colour or storage (see matching.parseTitle) are collapsed into one:
+ * the best deal among them is posted and the others are listed under it.
+ *
+ * @module lib/variants
+ */
+
+const settings = require('../config/settings.json');
+const matching = require('./matching');
+
+/**
+ * Get variant settings
+ * @returns {Object} { enabled, maxListed }
+ */
+function getSettings() {
+    return {
+        enabled: true,
+        maxListed: 4,
+        ...settings.variants
+    };
+}
+
+/**
+ * Build the key shared by all variants of a model
+ * @param {Object} product - Product
+ * @returns {string|null} Key, or null when the title has no model to go on
+ */
+function getModelKey(product) {
+    const { brand, model } = matching.parseTitle(product.name);
+    if (!brand || model.length === 0) return null;
+
+    return [product.source, product.currency || 'INR', brand, ...[...model].sort()].join('|');
+}
+
+/**
+ * Describe what sets a variant apart ("256 GB, Blue")
+ * @param {Object} product - Product
+ * @returns {string} Label (the shortened title when neither storage nor colour is known)
+ */
+function describeVariant(product) {
+    const { storage, colour } = matching.parseTitle(product.name);
+    const parts = [];
+
+    if (storage) {
+        parts.push(storage >= 1024 && storage % 1024 === 0 ? `${storage / 1024} TB` : `${storage} GB`);
+    }
+    if (colour) {
+        parts.push(colour.charAt(0).toUpperCase() + colour.slice(1));
+    }
+
+    return parts.length > 0 ? parts.join(', ') : product.name;
+}
+
+/**
+ * Collapse variants of the same model into their best deal
+ * The representative is the variant with the highest discount by the
+ * caller's ranking (the run uses authenticity.getEffectiveDiscount, as for
+ * its posting order), the cheaper one on a tie. The group takes the place
+ * of its highest-ranked member, so the list order is kept. Curated offers
+ * and admin-approved items pass through.
+ * @param {Array} products - Candidates, in posting order
+ * @param {Function} getDiscount - product -> discount to rank by (defaults to the listed one)
+ * @returns {Array} Products; representatives carry variants: [product] (with variantLabel)
+ */
+function groupVariants(products, getDiscount = product => product.discount) {
+    if (!getSettings().enabled) return products;
+
+    const groups = new Map();
+    const slots = [];
+
+    for (const product of products) {
+        const key = !product.type && !product.moderationId ? getModelKey(product) : null;
+
+        if (!key) {
+            slots.push(product);
+            continue;
+        }
+
+        if (!groups.has(key)) {
+            groups.set(key, []);
+            slots.push(key);
+        }
+
+        // The same listing can come from several categories
+        const group = groups.get(key);
+        if (!group.some(member => member.id === product.id)) group.push(product);
+    }
+
+    return slots.map(slot => {
+        if (typeof slot !== 'string') return slot;
+
+        const [best, ...others] = groups.get(slot)
+            .slice()
+            .sort((a, b) => (getDiscount(b) - getDiscount(a)) || (a.price - b.price));
+
+        if (others.length === 0) return best;
+
+        console.log(`[Variants] ${best.id} stands for ${others.length} other variant(s)`);
+        return {
+            ...best,
+            variantLabel: describeVariant(best),
+            variants: others.map(variant => ({ ...variant, variantLabel: describeVariant(variant) }))
+        };
+    });
+}
+
+module.exports = {
+    getSettings,
+    describeVariant,
+    groupVariants
+};
@@ -14,6 +14,8 @@ const amazon = require('../lib/amazon');
 const formatter = require('../lib/formatter');
 const dedupe = require('../lib/dedupe');
 const scheduler = require('../lib/scheduler');
+const time = require('../lib/time');
+const sales = require('../lib/sales');
 
 async function dryRun() {
     console.log('🧪 Daily Trendz Dry Run\n');
@@ -48,17 +50,21 @@ async function dryRun() {
 
     // 2. Initialize modules
     console.log('\n📦 Initializing modules...');
-    dedupe.initialize();
-    scheduler.initCounters();
+    await dedupe.initialize();
+    await scheduler.initCounters();
 
     // 3. Check limits
     console.log('\n📊 Posting Limits:');
     console.log(`  Total: ${scheduler.getTotalLimit()}`);
-    console.log(`  Sale Mode: ${scheduler.isSaleMode()}`);
-    console.log(`  Current Stats:`, scheduler.getStats());
+    console.log(`  Posting day: ${time.getLocalDate()} (${time.getTimezone()})`);
+    console.log(`  Sale Mode: ${sales.getActiveSale()?.name || 'off'}`);
+    console.log(`  Current Stats:`, await scheduler.getStats());
 
-    // 4. Select categories
-    const categories = scheduler.selectCategories(3);
+    // 4. Resolve time slot and select categories
+    const plan = scheduler.getSessionPlan();
+    console.log(`\n🕒 Time Slot: ${plan.allowed ? plan.slot : `none (${plan.reason})`}`);
+
+    const categories = scheduler.selectCategories(3, plan.categories || []);
     console.log(`\n📂 Selected Categories: ${categories.join(', ')}`);
 
     // 5. Test Flipkart API (if configured)
@@ -115,6 +121,7 @@ async function dryRun() {
     // 8. Test dedupe
     console.log('\n🔍 Testing Dedupe...');
     console.log(`  Tracked products: ${dedupe.getTrackedCount()}`);
+    console.log(`  TTL report:`, dedupe.getTtlReport());
     console.log(`  Is 'test-123' posted? ${dedupe.isPosted('test-123')}`);
 
     console.log('\n' + '='.repeat(50));
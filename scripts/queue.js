@@ -0,0 +1,75 @@
+/**
+ * Post Queue CLI
+ *
+ * Schedules products for the next runs without going through the bot.
+ *
+ * Usage:
+ *   npm run queue -- add <url> [--at "2024-10-05 18:00"] [--priority 5] [--category mobiles]
+ *   npm run queue -- list
+ *   npm run queue -- cancel <id>
+ */
+
+require('dotenv').config({ path: '.env.local' });
+
+const queue = require('../lib/queue');
+const time = require('../lib/time');
+
+/**
+ * Split CLI arguments into positionals and --options
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} { positional, options }
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    return { positional, options };
+}
+
+async function main() {
+    const { positional, options } = parseArgs(process.argv.slice(2));
+    const [command, value] = positional;
+
+    switch (command) {
+        case 'add': {
+            if (!value) throw new Error('Usage: add <url> [--at time] [--priority n] [--category key]');
+
+            const item = await queue.enqueueUrl(value, {
+                publishAt: options.at,
+                priority: options.priority,
+                category: options.category,
+                addedBy: process.env.USER || 'cli',
+                origin: 'cli'
+            });
+            console.log(`✅ #${item.id} ${item.product.name} at ${time.formatDateTime(item.publishAt)}`);
+            break;
+        }
+        case 'list': {
+            const items = await queue.getPending();
+            if (items.length === 0) console.log('📭 Queue is empty');
+            for (const item of items) {
+                console.log(`#${item.id}  ${time.formatDateTime(item.publishAt)}  p${item.priority}  ${item.product.source}  ${item.product.name}${item.note ? `  (${item.note})` : ''}`);
+            }
+            break;
+        }
+        case 'cancel':
+            console.log(await queue.cancel(value) ? `🗑 #${value} removed` : `❓ No queued item #${value}`);
+            break;
+        default:
+            console.log('Usage: npm run queue -- add <url> [--at time] [--priority n] [--category key] | list | cancel <id>');
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
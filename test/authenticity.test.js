@@ -0,0 +1,97 @@
+/**
+ * Tests for lib/authenticity fake-discount detection against price history
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../lib/store');
+const history = require('../lib/history');
+const authenticity = require('../lib/authenticity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an in-memory store adapter
+ * @param {Object} data - Initial key/value pairs
+ * @returns {Object} Store adapter
+ */
+function memoryStore(data = {}) {
+    return {
+        name: 'memory',
+        async get(key) { return data[key] ?? null; },
+        async set(key, value) { data[key] = value; },
+        async update(key, mutator) { data[key] = await mutator(data[key] ?? null); return data[key]; },
+        async delete(key) { delete data[key]; }
+    };
+}
+
+/**
+ * Load a price series for one Amazon product
+ * @param {Array} points - [daysAgo, price, mrp] oldest first
+ * @returns {Promise<void>}
+ */
+async function seedHistory(points) {
+    const now = Date.now();
+    store.setStore(memoryStore({
+        'price-history': {
+            amazon_B0TEST: {
+                seenAt: now,
+                currency: 'INR',
+                points: points.map(([daysAgo, price, mrp]) => [now - daysAgo * DAY_MS, price, mrp, 1])
+            }
+        }
+    }));
+    await history.initialize();
+}
+
+const product = (price, originalPrice, discount) => ({ source: 'amazon', id: 'B0TEST', price, originalPrice, discount, currency: 'INR' });
+
+test('products without enough history are unknown', async () => {
+    await seedHistory([]);
+    assert.equal(authenticity.check(product(700, 1000, 30)).status, 'unknown');
+
+    await seedHistory([[1, 1000, 1000], [0.5, 900, 1000]]);
+    assert.equal(authenticity.check(product(700, 1000, 30)).status, 'unknown');
+});
+
+test('an MRP raised above the lowest seen is fake', async () => {
+    await seedHistory([[10, 800, 1000], [5, 800, 1000]]);
+    const verdict = authenticity.check(product(700, 1500, 53));
+
+    assert.equal(verdict.status, 'fake');
+    assert.match(verdict.reason, /MRP raised/);
+    assert.equal(verdict.referencePrice, 1000);
+    assert.equal(verdict.realDiscount, 30);
+});
+
+test('a price that never moved is fake', async () => {
+    await seedHistory([[10, 700, 1000], [5, 700, 1000], [1, 700, 1000]]);
+    const verdict = authenticity.check(product(700, 1000, 30));
+
+    assert.equal(verdict.status, 'fake');
+    assert.equal(verdict.realDiscount, 0);
+});
+
+test('a drop below minRealDropPercent is fake, a real drop is genuine', async () => {
+    await seedHistory([[10, 1000, 1500], [5, 1000, 1500]]);
+
+    assert.equal(authenticity.check(product(980, 1500, 35)).status, 'fake');
+
+    const verdict = authenticity.check(product(700, 1500, 53));
+    assert.equal(verdict.status, 'genuine');
+    assert.equal(verdict.referencePrice, 1000);
+    assert.equal(verdict.realDiscount, 30);
+});
+
+test('getEffectiveDiscount caps the listed discount by the real drop', async () => {
+    await seedHistory([[10, 1000, 1500], [5, 1000, 1500]]);
+    assert.equal(authenticity.getEffectiveDiscount(product(700, 1500, 53)), 30);
+
+    await seedHistory([]);
+    assert.equal(authenticity.getEffectiveDiscount(product(700, 1500, 53)), 53);
+});
+
+test('curated offers are never judged', async () => {
+    await seedHistory([[10, 700, 1000], [5, 700, 1000]]);
+    assert.equal(authenticity.check({ ...product(700, 1000, 30), type: 'offer' }).status, 'unknown');
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for lib/dedupe repost-on-price-drop threshold (config/limits.json)
+ * and persistence through lib/store
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../lib/store');
+const dedupe = require('../lib/dedupe');
+
+const { isFurtherDrop } = dedupe;
+
+/**
+ * Build an in-memory store adapter
+ * @param {Object} data - Initial key/value pairs
+ * @returns {Object} Store adapter
+ */
+function memoryStore(data = {}) {
+    return {
+        name: 'memory',
+        async get(key) { return data[key] ?? null; },
+        async set(key, value) { data[key] = value; },
+        async update(key, mutator) { data[key] = await mutator(data[key] ?? null); return data[key]; },
+        async delete(key) { delete data[key]; }
+    };
+}
+
+test('isFurtherDrop needs a drop of at least minDropPercent', () => {
+    assert.equal(isFurtherDrop({ price: 1000 }, 900), true);
+    assert.equal(isFurtherDrop({ price: 1000 }, 850), true);
+    assert.equal(isFurtherDrop({ price: 1000 }, 950), false);
+});
+
+test('isFurtherDrop ignores rises and unchanged prices', () => {
+    assert.equal(isFurtherDrop({ price: 1000 }, 1000), false);
+    assert.equal(isFurtherDrop({ price: 1000 }, 1200), false);
+});
+
+test('isFurtherDrop ignores missing prices', () => {
+    assert.equal(isFurtherDrop({}, 500), false);
+    assert.equal(isFurtherDrop({ price: 1000 }, 0), false);
+    assert.equal(isFurtherDrop({ price: 1000 }, null), false);
+});
+
+test('flush merges with records other runs saved meanwhile', async () => {
+    const data = { posted: { amazon_a1: { postedAt: Date.now(), price: 1000, messageId: 7 } } };
+    store.setStore(memoryStore(data));
+    await dedupe.initialize();
+
+    // Another run posts B1 after this one loaded
+    data.posted.amazon_b1 = { postedAt: Date.now(), price: 500 };
+
+    dedupe.markPosted('C1', 'amazon', 'main', { price: 300 });
+    dedupe.updateRecord('amazon_a1', { status: 'live' });
+    await dedupe.flush();
+
+    assert.deepEqual(Object.keys(data.posted).sort(), ['amazon_a1', 'amazon_b1', 'amazon_c1']);
+    assert.equal(data.posted.amazon_a1.messageId, 7);
+    assert.equal(data.posted.amazon_a1.status, 'live');
+    assert.equal(dedupe.isDuplicate('B1', 'amazon', 'main', 500), true);
+});
+
+test('initialize drops expired records and reads bare timestamps', async () => {
+    const old = Date.now() - 30 * 24 * 60 * 60 * 1000;
+    store.setStore(memoryStore({ posted: { amazon_a1: old, amazon_b1: Date.now() } }));
+    await dedupe.initialize();
+
+    assert.equal(dedupe.getTrackedCount(), 1);
+    assert.equal(dedupe.isDuplicate('B1', 'amazon'), true);
+});
+
+test('markListed keeps the message of an earlier post', async () => {
+    store.setStore(memoryStore({
+        posted: { amazon_a1: { postedAt: Date.now() - 1000, price: 1000, messageId: 7, kind: 'photo', product: { id: 'A1' } } }
+    }));
+    await dedupe.initialize();
+
+    dedupe.markListed('A1', 'amazon', 'main', 900);
+    dedupe.markListed('B1', 'amazon', 'main', 500);
+
+    const [record] = dedupe.getPostedMessages();
+    assert.equal(record.messageId, 7);
+    assert.equal(record.kind, 'photo');
+    assert.equal(record.price, 900);
+    assert.equal(dedupe.getPostedPrice('B1', 'amazon'), 500);
+});
+
+test('markListed with keepPrice only prices new records', async () => {
+    store.setStore(memoryStore({ posted: { amazon_a1: { postedAt: Date.now() - 1000, price: 1000 } } }));
+    await dedupe.initialize();
+
+    dedupe.markListed('A1', 'amazon', 'main', 1100, true);
+    dedupe.markListed('B1', 'amazon', 'main', 500, true);
+
+    assert.equal(dedupe.getPostedPrice('A1', 'amazon'), 1000);
+    assert.equal(dedupe.getPostedPrice('B1', 'amazon'), 500);
+});
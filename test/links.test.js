@@ -0,0 +1,51 @@
+/**
+ * Tests for lib/links URL parsing and tracking removal (no network)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const links = require('../lib/links');
+
+test('parseUrl reads the ASIN and marketplace of Amazon product pages', () => {
+    assert.deepEqual(
+        links.parseUrl('https://www.amazon.in/Apple-iPhone/dp/b0cHX1W1XY/ref=sr_1_1?keywords=x&tag=foo'),
+        { source: 'amazon', id: 'B0CHX1W1XY', asin: 'B0CHX1W1XY', marketplace: 'in' }
+    );
+
+    // Other marketplaces prefix the product ID
+    assert.equal(links.parseUrl('https://www.amazon.com/dp/B0CHX1W1XY').id, 'com:B0CHX1W1XY');
+    assert.equal(links.parseUrl('https://www.amazon.in/gp/product/B0CHX1W1XY').asin, 'B0CHX1W1XY');
+});
+
+test('parseUrl reads the pid and page path of Flipkart links', () => {
+    assert.deepEqual(
+        links.parseUrl('https://dl.flipkart.com/dl/apple-iphone-15/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W&affid=x'),
+        { source: 'flipkart', id: 'MOBGTAGPTB3VS24W', pid: 'MOBGTAGPTB3VS24W', path: '/apple-iphone-15/p/itm6ac6485515ae4' }
+    );
+
+    assert.equal(links.parseUrl('https://www.flipkart.com/apple-iphone-15/p/itm6ac6485515ae4'), null);
+});
+
+test('parseUrl ignores unknown hosts and invalid input', () => {
+    assert.equal(links.parseUrl('https://example.com/dp/B0CHX1W1XY'), null);
+    assert.equal(links.parseUrl('not a url'), null);
+    assert.equal(links.parseUrl(''), null);
+});
+
+test('stripTracking drops tracking parameters, ref paths and fragments', () => {
+    assert.equal(
+        links.stripTracking('https://www.amazon.in/dp/B0CHX1W1XY/ref=sr_1_1?tag=foo&utm_source=tg#reviews'),
+        'https://www.amazon.in/dp/B0CHX1W1XY'
+    );
+    assert.equal(
+        links.stripTracking('https://www.flipkart.com/x/p/itm1?pid=MOB1&otracker=search&affid=a'),
+        'https://www.flipkart.com/x/p/itm1?pid=MOB1'
+    );
+    assert.equal(links.stripTracking('garbage'), 'garbage');
+});
+
+test('isShortLink recognises store short links', () => {
+    assert.equal(links.isShortLink('https://amzn.to/3xyz'), true);
+    assert.equal(links.isShortLink('https://dl.flipkart.com/s/abc'), true);
+    assert.equal(links.isShortLink('https://www.amazon.in/dp/B0CHX1W1XY'), false);
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for lib/matching title parsing and cross-source pairing
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTitle, similarity, isSameProduct, pairListings } = require('../lib/matching');
+
+/**
+ * Signature as matching builds it for a title
+ * @param {string} title - Product title
+ * @returns {Object} Signature
+ */
+const sign = title => ({ ...parseTitle(title), currency: 'INR' });
+
+test('parseTitle splits brand, model, storage and colour', () => {
+    const parsed = parseTitle('Samsung Galaxy S24 FE 5G (Blue, 8GB RAM, 256GB Storage)');
+
+    assert.equal(parsed.brand, 'samsung');
+    assert.deepEqual(parsed.model, ['galaxy', 's24', 'fe']);
+    assert.equal(parsed.storage, 256);
+    assert.equal(parsed.colour, 'blue');
+    assert.equal(parsed.accessory, false);
+});
+
+test('parseTitle reads TB sizes and flags accessories', () => {
+    assert.equal(parseTitle('Apple iPhone 15 Pro 1 TB').storage, 1024);
+    assert.equal(parseTitle('Apple iPhone 15 Pro').storage, null);
+    assert.equal(parseTitle('Apple iPhone 15 Silicone Case').accessory, true);
+});
+
+test('similarity matches the same model across title styles', () => {
+    assert.equal(similarity(
+        sign('Apple iPhone 15 (128 GB) - Black'),
+        sign('APPLE iPhone 15 (Black, 128 GB)')
+    ), 1);
+});
+
+test('similarity rejects other models, sizes, colours and accessories', () => {
+    assert.equal(similarity(sign('Samsung Galaxy S23 FE 128GB'), sign('Samsung Galaxy S24 FE 128GB')), 0);
+    assert.equal(similarity(sign('Apple iPhone 15 128 GB'), sign('Apple iPhone 15 256 GB')), 0);
+    assert.equal(similarity(sign('Apple iPhone 15 Black'), sign('Apple iPhone 15 Blue')), 0);
+    assert.equal(similarity(sign('Apple iPhone 15'), sign('Apple iPhone 15 Case')), 0);
+    assert.equal(similarity({ ...sign('Apple iPhone 15'), currency: 'USD' }, sign('Apple iPhone 15')), 0);
+});
+
+test('isSameProduct only links listings from different sources', () => {
+    const amazon = { source: 'amazon', id: 'A1', name: 'Apple iPhone 15 (128 GB) - Black' };
+    const flipkart = { source: 'flipkart', id: 'F1', name: 'APPLE iPhone 15 (Black, 128 GB)' };
+
+    assert.equal(isSameProduct(amazon, flipkart), true);
+    assert.equal(isSameProduct(amazon, { ...flipkart, source: 'amazon' }), false);
+});
+
+test('pairListings pairs each listing once, in both directions', () => {
+    const amazon = { source: 'amazon', id: 'A1', name: 'Apple iPhone 15 (128 GB) - Black' };
+    const flipkart = { source: 'flipkart', id: 'F1', name: 'APPLE iPhone 15 (Black, 128 GB)' };
+    const other = { source: 'flipkart', id: 'F2', name: 'Samsung Galaxy S24 FE (Blue, 256 GB)' };
+    const offer = { source: 'amazon', id: 'O1', name: 'Samsung Galaxy S24 FE (Blue, 256 GB)', type: 'offer' };
+
+    const partners = pairListings([amazon, flipkart, other, offer]);
+
+    assert.equal(partners.size, 2);
+    assert.equal(partners.get('amazon_A1'), flipkart);
+    assert.equal(partners.get('flipkart_F1'), amazon);
+    assert.equal(partners.has('flipkart_F2'), false);
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for lib/telegram message splitting (caption and message limits)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const telegram = require('../lib/telegram');
+
+test('splitAtLimit keeps a message that fits', () => {
+    assert.deepEqual(telegram.splitAtLimit('<b>Deal</b>\nline', 10), { head: '<b>Deal</b>\nline', rest: null });
+});
+
+test('splitAtLimit measures visible text, not markup', () => {
+    // 9 visible characters, far more with the tags and entities
+    const html = '<a href="https://example.com/a/very/long/link">&lt;deal&gt;</a>\n<b>x</b>';
+    assert.equal(telegram.splitAtLimit(html, 9).rest, null);
+});
+
+test('splitAtLimit cuts at whole lines', () => {
+    const split = telegram.splitAtLimit('<b>first</b>\nsecond\nthird', 14);
+
+    assert.equal(split.head, '<b>first</b>\nsecond');
+    assert.equal(split.rest, 'third');
+});
+
+test('splitAtLimit gives up when the first line alone is too long', () => {
+    assert.equal(telegram.splitAtLimit('a very long first line\nshort', 5), null);
+});
+
+test('chunkMessage breaks long text into parts within the limit', () => {
+    const lines = Array.from({ length: 30 }, (_, i) => `<i>line ${i}</i>`);
+    const parts = telegram.chunkMessage(lines.join('\n'), 40);
+
+    assert.ok(parts.length > 1);
+    parts.forEach(part => assert.ok(part.replace(/<[^>]+>/g, '').length <= 40));
+    assert.equal(parts.join('\n').match(/line \d+/g).length, 30);
+});
+
+test('chunkMessage cuts an oversized line as plain text', () => {
+    const [part] = telegram.chunkMessage('<b>' + 'x'.repeat(50) + '</b>', 20);
+
+    assert.ok(!part.includes('<b>'));
+    assert.ok(part.length <= 20);
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for lib/time parsing of user-supplied times (business timezone IST)
+ */
+
+process.env.TIMEZONE = 'Asia/Kolkata';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const time = require('../lib/time');
+
+test('parseLocalDateTime reads local dates and times in the business timezone', () => {
+    assert.equal(time.parseLocalDateTime('2024-10-05 18:00'), Date.parse('2024-10-05T12:30:00Z'));
+    assert.equal(time.parseLocalDateTime('2024-10-05T09:15'), Date.parse('2024-10-05T03:45:00Z'));
+    assert.equal(time.parseLocalDateTime('2024-10-05'), Date.parse('2024-10-04T18:30:00Z'));
+});
+
+test('parseLocalDateTime keeps the zone of ISO timestamps', () => {
+    assert.equal(time.parseLocalDateTime('2024-10-05T09:00:00Z'), Date.parse('2024-10-05T09:00:00Z'));
+    assert.equal(time.parseLocalDateTime(1728118800000), 1728118800000);
+});
+
+test('parseLocalDateTime takes the next occurrence of a clock time', () => {
+    const now = Date.parse('2024-10-05T06:30:00Z'); // 12:00 IST
+
+    assert.equal(time.parseLocalDateTime('18:00', now), Date.parse('2024-10-05T12:30:00Z'));
+    assert.equal(time.parseLocalDateTime('09:00', now), Date.parse('2024-10-06T03:30:00Z'));
+    assert.equal(time.parseLocalDateTime('12:00', now), Date.parse('2024-10-06T06:30:00Z'));
+});
+
+test('parseLocalDateTime rejects invalid input', () => {
+    assert.equal(time.parseLocalDateTime('25:99'), null);
+    assert.equal(time.parseLocalDateTime('2024-10-05 24:00'), null);
+    assert.equal(time.parseLocalDateTime('tomorrow'), null);
+    assert.equal(time.parseLocalDateTime(''), null);
+    assert.equal(time.parseLocalDateTime(NaN), null);
+});
+
+test('getLocalDate follows the business timezone', () => {
+    assert.equal(time.getLocalDate(Date.parse('2024-10-05T19:00:00Z')), '2024-10-06');
+    assert.equal(time.getLocalDate(Date.parse('2024-10-05T18:00:00Z')), '2024-10-05');
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for lib/variants grouping of colour and storage variants
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { describeVariant, groupVariants } = require('../lib/variants');
+
+/**
+ * Build a candidate product
+ * @param {string} id - Product ID
+ * @param {string} name - Title
+ * @param {number} price - Price
+ * @param {number} discount - Listed discount
+ * @returns {Object} Product
+ */
+const product = (id, name, price, discount) => ({ source: 'amazon', id, name, price, discount, currency: 'INR' });
+
+test('describeVariant labels storage and colour', () => {
+    assert.equal(describeVariant(product('A', 'Apple iPhone 15 (256 GB) - Black', 0, 0)), '256 GB, Black');
+    assert.equal(describeVariant(product('A', 'Apple iPhone 15 Pro 1TB', 0, 0)), '1 TB');
+    assert.equal(describeVariant(product('A', 'Apple iPhone 15', 0, 0)), 'Apple iPhone 15');
+});
+
+test('groupVariants keeps the best discount as the representative', () => {
+    const small = product('A128', 'Apple iPhone 15 (128 GB) - Black', 60000, 10);
+    const large = product('A256', 'Apple iPhone 15 (256 GB) - Black', 50000, 40);
+    const other = product('S24', 'Samsung Galaxy S24 FE (Blue, 256 GB)', 40000, 20);
+
+    const grouped = groupVariants([small, other, large]);
+
+    assert.equal(grouped.length, 2);
+    assert.equal(grouped[0].id, 'A256');
+    assert.equal(grouped[0].variantLabel, '256 GB, Black');
+    assert.deepEqual(grouped[0].variants.map(variant => variant.id), ['A128']);
+    assert.equal(grouped[0].variants[0].variantLabel, '128 GB, Black');
+    assert.equal(grouped[1], other);
+});
+
+test('groupVariants ranks by the given discount, cheaper on a tie', () => {
+    const small = product('A128', 'Apple iPhone 15 (128 GB) - Black', 60000, 10);
+    const large = product('A256', 'Apple iPhone 15 (256 GB) - Black', 70000, 40);
+    const effective = { A128: 10, A256: 5 };
+
+    assert.equal(groupVariants([small, large], item => effective[item.id])[0].id, 'A128');
+    assert.equal(groupVariants([small, large], () => 10)[0].id, 'A128');
+});
+
+test('groupVariants leaves offers, approved items and repeats alone', () => {
+    const listing = product('A128', 'Apple iPhone 15 (128 GB) - Black', 60000, 10);
+    const offer = { ...product('O1', 'Apple iPhone 15 (256 GB) - Black', 0, 0), type: 'offer' };
+    const approved = { ...product('A256', 'Apple iPhone 15 (256 GB) - Black', 70000, 40), moderationId: 'm1' };
+
+    const grouped = groupVariants([listing, offer, approved, { ...listing }]);
+
+    assert.equal(grouped.length, 3);
+    assert.equal(grouped[0].variants, undefined);
+});